@@ -12,10 +12,259 @@
   var dot = document.getElementById("cursor-dot");
 
   /**
-   * Top bar oval pause/resume (mousemove / idle).
+   * prefers-reduced-motion, read live so changing the OS setting applies
+   * without a reload. CSS drops the transitions themselves; JS checks this
+   * wherever it animates on its own or waits for a transition to end.
+   */
+  var reducedMotionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+
+  function prefersReducedMotion() {
+    return !!(reducedMotionQuery && reducedMotionQuery.matches);
+  }
+
+  /**
+   * DOM helpers shared by every subsystem below.
+   */
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  // A type="button" <button>; `label` names glyph-only buttons.
+  function button(className, text, label) {
+    var node = el("button", className, text);
+    node.type = "button";
+    if (label) node.setAttribute("aria-label", label);
+    return node;
+  }
+
+  /**
+   * Boot sequence and lock screen
+   * - Subsystems call boot.report(text, ok) as they come up; the boot screen
+   *   replays those lines systemd-style ("[  OK  ] Started System Clock.").
+   * - Order: boot log -> lock screen (clock + hero) -> desktop. A key or
+   *   click skips the rest of the log; on the lock screen it unlocks.
+   * - Returning visitors go straight to the desktop; reboot() forces the
+   *   full sequence on the next load.
+   * - While a screen is up, input is swallowed in the capture phase so it
+   *   never reaches the desktop underneath.
+   */
+  var boot = (function () {
+    var SEEN_KEY = "techieman.os:booted"; // localStorage: visited before
+    var FORCE_KEY = "techieman.os:force-boot"; // sessionStorage: set by reboot()
+    var LINE_DELAY = 120; // ms between log lines
+    var units = []; // { text, ok }
+    var phase = null; // null | "booting" | "locked" | "halted"
+    var onInput = null;
+    var returnFocus = null;
+
+    var bootScreen = el("div", "boot-screen");
+    bootScreen.hidden = true;
+    bootScreen.setAttribute("aria-hidden", "true");
+    var log = el("div", "boot-screen__log");
+    var hint = el("p", "boot-screen__hint");
+    bootScreen.appendChild(log);
+    bootScreen.appendChild(hint);
+
+    var lockScreen = el("div", "lock-screen");
+    lockScreen.hidden = true;
+    lockScreen.tabIndex = -1;
+    lockScreen.setAttribute("role", "dialog");
+    lockScreen.setAttribute("aria-modal", "true");
+    lockScreen.setAttribute("aria-label", "Lock screen");
+    var lockTime = el("div", "lock-screen__time");
+    lockTime.setAttribute("data-clock", "time");
+    var lockDate = el("div", "lock-screen__date");
+    lockDate.setAttribute("data-clock", "date");
+    lockScreen.appendChild(lockTime);
+    lockScreen.appendChild(lockDate);
+    lockScreen.appendChild(el("h1", "lock-screen__hero", "Welcome to techieman.os"));
+    lockScreen.appendChild(el("p", "lock-screen__hint", "Click or press any key to unlock"));
+
+    document.body.appendChild(bootScreen);
+    document.body.appendChild(lockScreen);
+
+    function report(text, ok) {
+      units.push({ text: text, ok: ok !== false });
+    }
+
+    function storage(area) {
+      try {
+        return window[area];
+      } catch (err) {
+        return null;
+      }
+    }
+
+    function wait(ms) {
+      return new Promise(function (resolve) {
+        window.setTimeout(resolve, prefersReducedMotion() ? 0 : ms);
+      });
+    }
+
+    function appendLine(unit) {
+      var line = el("div", "boot-line");
+      if (unit.status !== undefined) {
+        line.appendChild(el("span", "boot-line__status boot-line__status--" + (unit.ok ? "ok" : "failed"), unit.ok ? "[  OK  ]" : "[FAILED]"));
+        line.appendChild(document.createTextNode(" "));
+      }
+      line.appendChild(document.createTextNode(unit.text));
+      log.appendChild(line);
+      bootScreen.scrollTop = bootScreen.scrollHeight;
+    }
+
+    /**
+     * Prints lines one by one; a key/click (skip) flushes the rest at once.
+     */
+    function playLog(lines, hintText) {
+      var skipped = false;
+      log.textContent = "";
+      hint.textContent = hintText;
+      hint.hidden = !hintText;
+      bootScreen.hidden = false;
+      onInput = function () {
+        skipped = true;
+      };
+
+      return lines.reduce(function (chain, unit) {
+        return chain.then(function () {
+          appendLine(unit);
+          return skipped ? null : wait(LINE_DELAY);
+        });
+      }, Promise.resolve());
+    }
+
+    function status(text, ok) {
+      return { text: text, ok: ok !== false, status: true };
+    }
+
+    function enter(nextPhase) {
+      if (!phase) returnFocus = document.activeElement;
+      phase = nextPhase;
+    }
+
+    function leave() {
+      phase = null;
+      onInput = null;
+      bootScreen.hidden = true;
+      lockScreen.hidden = true;
+      if (returnFocus && typeof returnFocus.focus === "function") returnFocus.focus();
+      returnFocus = null;
+    }
+
+    function runBoot() {
+      enter("booting");
+      var lines = [{ text: "Booting techieman.os ..." }]
+        .concat(units.map(function (unit) {
+          return status(unit.text, unit.ok);
+        }))
+        .concat([status("Reached target Graphical Interface.")]);
+      return playLog(lines, "Press any key to skip").then(function () {
+        return wait(400);
+      });
+    }
+
+    /**
+     * Shows the lock screen; resolves once it is dismissed.
+     */
+    function lock() {
+      enter("locked");
+      bootScreen.hidden = true;
+      lockScreen.hidden = false;
+      lockScreen.focus();
+      return new Promise(function (resolve) {
+        onInput = function () {
+          leave();
+          resolve();
+        };
+      });
+    }
+
+    /**
+     * Decides the startup flow; resolves when the desktop is revealed.
+     */
+    function start() {
+      var local = storage("localStorage");
+      var session = storage("sessionStorage");
+      var forced = Boolean(session && session.getItem(FORCE_KEY));
+      var returning = Boolean(local && local.getItem(SEEN_KEY));
+      try {
+        if (session) session.removeItem(FORCE_KEY);
+        if (local) local.setItem(SEEN_KEY, "1");
+      } catch (err) {
+        // Without storage every visit is a first visit.
+      }
+
+      if (returning && !forced) return Promise.resolve();
+      return runBoot().then(lock);
+    }
+
+    function reboot() {
+      try {
+        window.sessionStorage.setItem(FORCE_KEY, "1");
+      } catch (err) {
+        // The reload then behaves like a normal return visit.
+      }
+      window.location.reload();
+    }
+
+    /**
+     * Plays "Stopping <unit>..." lines for `stopping`, then either reboots
+     * or halts on a black screen that powers back on with a key or click.
+     */
+    function shutdown(stopping, restart) {
+      enter("halted");
+      lockScreen.hidden = true;
+      var lines = [];
+      stopping.forEach(function (name) {
+        lines.push({ text: "         Stopping " + name + "..." });
+        lines.push(status("Stopped " + name + "."));
+      });
+      lines.push(status("Reached target " + (restart ? "Reboot" : "Power-Off") + "."));
+
+      return playLog(lines, "").then(function () {
+        return wait(600);
+      }).then(function () {
+        if (restart) {
+          reboot();
+          return;
+        }
+        log.textContent = "";
+        appendLine({ text: "System halted." });
+        hint.textContent = "Press any key to power on";
+        hint.hidden = false;
+        onInput = reboot;
+      });
+    }
+
+    ["keydown", "keyup", "pointerdown", "mousedown", "click"].forEach(function (type) {
+      window.addEventListener(type, function (e) {
+        if (!phase) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if ((type === "keydown" || type === "click") && onInput) onInput();
+      }, true);
+    });
+
+    return {
+      report: report,
+      start: start,
+      lock: lock,
+      reboot: reboot,
+      shutdown: shutdown,
+      isActive: function () {
+        return phase !== null;
+      }
+    };
+  })();
+
+  /**
+   * Top bar oval pause/resume (pointermove / idle).
    * Requirements:
    * - RUNNING by default (no `html.user-active` class present)
-   * - mousemove: pause immediately
+   * - pointermove (mouse, pen or touch drag): pause immediately
    * - stop moving: resume after EXACTLY 3000ms
    * - movement during the 3s window resets the timer
    * - single timeout only, never multiple timers
@@ -29,21 +278,21 @@
     // Ensure default is running.
     root.classList.remove("user-active");
 
-    function onAnyMouseMove() {
+    function onAnyPointerMove() {
       // Pause immediately on first movement after idle.
       if (isIdle) {
         isIdle = false;
         root.classList.add("user-active");
       }
 
-      // Reset the single idle timer on every mousemove.
+      // Reset the single idle timer on every pointermove.
       if (idleTimeout !== null) {
         window.clearTimeout(idleTimeout);
         idleTimeout = null;
       }
 
       idleTimeout = window.setTimeout(function () {
-        // Resume after EXACTLY 3 seconds with no mousemove.
+        // Resume after EXACTLY 3 seconds with no pointermove.
         root.classList.remove("user-active");
         isIdle = true;
         idleTimeout = null;
@@ -51,7 +300,7 @@
     }
 
     // Attach exactly one listener (required).
-    window.addEventListener("mousemove", onAnyMouseMove, { passive: true });
+    window.addEventListener("pointermove", onAnyPointerMove, { passive: true });
   })();
 
   /**
@@ -63,11 +312,13 @@
    * Formatting:
    * - Time: HH:MM with leading zeros (e.g. 09:05)
    * - Date: "Mon 17 Oct"
+   * - strftime(date, format, utc) for the shell's `date +FORMAT`.
    */
-  (function () {
+  var clock = (function () {
     var timeEl = document.getElementById("system-clock-time");
     var dateEl = document.getElementById("system-clock-date");
-    if (!timeEl || !dateEl) return;
+    var WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+    var MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
 
     var clockTimer = null; // single timer only
 
@@ -76,9 +327,62 @@
     }
 
     function formatDate(d) {
-      var weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-      var months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-      return weekdays[d.getDay()] + " " + pad2(d.getDate()) + " " + months[d.getMonth()];
+      return WEEKDAYS[d.getDay()].slice(0, 3) + " " + pad2(d.getDate()) + " " + MONTHS[d.getMonth()].slice(0, 3);
+    }
+
+    function timeZoneName(d) {
+      try {
+        var part = new Intl.DateTimeFormat("en-US", { timeZoneName: "short" }).formatToParts(d).find(function (p) {
+          return p.type === "timeZoneName";
+        });
+        return part ? part.value : "";
+      } catch (err) {
+        return "";
+      }
+    }
+
+    /**
+     * GNU date-style formatting: %Y %y %m %d %e %H %I %M %S %p %a %A %b %B
+     * %j %u %s %Z %z %F %T %D %R %c %n %t %%. Unknown directives are kept.
+     */
+    function strftime(d, format, utc) {
+      var get = function (name) {
+        return d[(utc ? "getUTC" : "get") + name]();
+      };
+      var year = get("FullYear");
+      var hours = get("Hours");
+      var offset = utc ? 0 : -d.getTimezoneOffset();
+      var dayOfYear = (Date.UTC(year, get("Month"), get("Date")) - Date.UTC(year, 0, 1)) / 86400000 + 1;
+      var fields = {
+        Y: String(year),
+        y: pad2(year % 100),
+        m: pad2(get("Month") + 1),
+        d: pad2(get("Date")),
+        e: String(get("Date")).padStart(2, " "),
+        H: pad2(hours),
+        I: pad2(hours % 12 || 12),
+        M: pad2(get("Minutes")),
+        S: pad2(get("Seconds")),
+        p: hours < 12 ? "AM" : "PM",
+        a: WEEKDAYS[get("Day")].slice(0, 3),
+        A: WEEKDAYS[get("Day")],
+        b: MONTHS[get("Month")].slice(0, 3),
+        B: MONTHS[get("Month")],
+        j: String(dayOfYear).padStart(3, "0"),
+        u: String(get("Day") || 7),
+        s: String(Math.floor(d.getTime() / 1000)),
+        Z: utc ? "UTC" : timeZoneName(d),
+        z: (offset < 0 ? "-" : "+") + pad2(Math.floor(Math.abs(offset) / 60)) + pad2(Math.abs(offset) % 60),
+        n: "\n",
+        t: "\t",
+        "%": "%"
+      };
+      var aliases = { F: "%Y-%m-%d", T: "%H:%M:%S", D: "%m/%d/%y", R: "%H:%M", c: "%a %b %e %H:%M:%S %Y" };
+
+      return format.replace(/%([a-zA-Z%])/g, function (match, key) {
+        if (aliases[key]) return strftime(d, aliases[key], utc);
+        return fields[key] !== undefined ? fields[key] : match;
+      });
     }
 
     function renderNow() {
@@ -87,6 +391,13 @@
       timeEl.textContent = pad2(now.getHours()) + ":" + pad2(now.getMinutes());
       // Date: Mon 17 Oct (pre-rendered so hover is instant).
       dateEl.textContent = formatDate(now);
+      // Other clock faces (lock screen) mirror the top bar.
+      document.querySelectorAll('[data-clock="time"]').forEach(function (el) {
+        el.textContent = timeEl.textContent;
+      });
+      document.querySelectorAll('[data-clock="date"]').forEach(function (el) {
+        el.textContent = dateEl.textContent;
+      });
     }
 
     function scheduleNextMinute() {
@@ -107,463 +418,8231 @@
       }, msUntilNextMinute);
     }
 
-    renderNow();
-    scheduleNextMinute();
+    if (timeEl && dateEl) {
+      renderNow();
+      scheduleNextMinute();
+      boot.report("Started System Clock.");
+    }
+
+    return {
+      pad2: pad2,
+      formatDate: formatDate,
+      strftime: strftime
+    };
   })();
 
   /**
-   * App windows (OS-style): generic open/close by app id.
-   *
-   * Mapping:
-   * - Dock icons:  data-launch-app="about|projects|..."
-   * - Windows:     id="app-about", id="app-projects", ...
-   * - Close btn:   data-app-close="about|projects|..."
-   *
-   * Behavior:
-   * - Only ONE app window visible at a time (opening a new one closes current).
-   * - Reuses existing CSS transition (opacity/scale/blur, 200ms).
+   * System uptime (since page load)
+   * - elapsed() in ms; describe(ms) gives "2 hours, 5 minutes" (`uptime -p`).
+   * - Keeps the About > System "Uptime" row (#system-uptime) current,
+   *   re-rendering on each whole minute of uptime.
    */
-  (function () {
-    var currentAppId = null; // Focused app
-    var isAnimating = false;
-    var runningApps = new Set();
-    var windowZ = 100;
-    const STACK_OFFSET = 20;
+  var uptime = (function () {
+    var startTime = Date.now();
 
-    function updateIndicators() {
-      document.querySelectorAll("[data-launch-app]").forEach(function (icon) {
-        var appId = icon.getAttribute("data-launch-app");
-        var indicator = icon.querySelector(".dock-indicator");
-        if (!indicator) return;
+    function elapsed() {
+      return Date.now() - startTime;
+    }
 
-        indicator.classList.remove("dock-indicator-dot", "dock-indicator-line");
+    function describe(ms) {
+      var minutes = Math.floor(ms / 60000);
+      var units = [
+        [Math.floor(minutes / 1440), "day"],
+        [Math.floor(minutes / 60) % 24, "hour"],
+        [minutes % 60, "minute"]
+      ].filter(function (unit) {
+        return unit[0] > 0;
+      }).map(function (unit) {
+        return unit[0] + " " + unit[1] + (unit[0] === 1 ? "" : "s");
+      });
+      return units.length ? units.join(", ") : "0 minutes";
+    }
 
-        if (currentAppId === appId) {
-          indicator.classList.add("dock-indicator-line");
-        } else if (runningApps.has(appId)) {
-          indicator.classList.add("dock-indicator-dot");
+    function renderUptime() {
+      var uptimeEl = document.getElementById("system-uptime");
+      if (uptimeEl) uptimeEl.textContent = describe(elapsed());
+    }
+
+    function updateUptime() {
+      // Keep ticking even while the About content isn't rendered yet.
+      window.setTimeout(updateUptime, 60000 - (elapsed() % 60000));
+      renderUptime();
+    }
+    window.addEventListener("content-loaded", renderUptime);
+    updateUptime();
+
+    return {
+      startTime: startTime,
+      elapsed: elapsed,
+      describe: describe
+    };
+  })();
+
+  /**
+   * Markdown (a safe subset) -> DOM, for file previews and READMEs.
+   * - Blocks: # headings, paragraphs, - / 1. lists, > quotes, ``` fences, ---.
+   * - Inline: **bold**, *em*, `code`, [text](href), ![alt](src), bare URLs.
+   * - Builds nodes with textContent only; links are limited to http(s),
+   *   mailto and in-page hashes, images to http(s) and relative paths.
+   */
+  var markdown = (function () {
+    var SAFE_HREF = /^(https?:|mailto:|#)/i;
+    var SAFE_SRC = /^(https?:|[^:]*$)/i;
+    var INLINE = /!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|`([^`]+)`|(https?:\/\/[^\s)]+)/g;
+    var BLOCK_START = /^(#{1,6}\s|>|```|\s*[-*+]\s|\s*\d+[.)]\s)/;
+    var RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+    function inline(parent, text) {
+      var pattern = new RegExp(INLINE.source, "g"); // own lastIndex: inline() recurses
+      var last = 0;
+      var match;
+      while ((match = pattern.exec(text))) {
+        if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+        last = pattern.lastIndex;
+        if (match[2] !== undefined) {
+          if (!SAFE_SRC.test(match[2])) continue;
+          var img = el("img");
+          img.src = match[2];
+          img.alt = match[1];
+          img.loading = "lazy";
+          parent.appendChild(img);
+        } else if (match[4] !== undefined) {
+          parent.appendChild(link(match[4], match[3]));
+        } else if (match[5] !== undefined) {
+          inline(parent.appendChild(el("strong")), match[5]);
+        } else if (match[6] !== undefined) {
+          inline(parent.appendChild(el("em")), match[6]);
+        } else if (match[7] !== undefined) {
+          parent.appendChild(el("code", "", match[7]));
+        } else {
+          parent.appendChild(link(match[8]));
+        }
+      }
+      if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+      return parent;
+    }
+
+    /**
+     * Without `text` (a bare URL) the href itself is the link text.
+     */
+    function link(href, text) {
+      if (!SAFE_HREF.test(href)) return document.createTextNode(text === undefined ? href : text);
+      var node = el("a", "", text === undefined ? href : undefined);
+      node.href = href;
+      if (/^https?:/i.test(href)) {
+        node.target = "_blank";
+        node.rel = "noopener";
+      }
+      return text === undefined ? node : inline(node, text);
+    }
+
+    /**
+     * Renders into a new <div class="markdown">.
+     */
+    function render(text) {
+      var root = el("div", "markdown");
+      var lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+      var i = 0;
+
+      while (i < lines.length) {
+        var line = lines[i];
+        var heading = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+        var list = /^\s*([-*+]|\d+[.)])\s+/.exec(line);
+
+        if (!line.trim()) {
+          i++;
+        } else if (line.indexOf("```") === 0) {
+          var code = [];
+          var lang = line.slice(3).trim();
+          for (i++; i < lines.length && lines[i].indexOf("```") !== 0; i++) code.push(lines[i]);
+          i++;
+          var pre = el("pre");
+          var codeEl = pre.appendChild(el("code", "", code.join("\n")));
+          if (lang) codeEl.setAttribute("data-lang", lang);
+          root.appendChild(pre);
+        } else if (heading) {
+          root.appendChild(inline(el("h" + heading[1].length), heading[2]));
+          i++;
+        } else if (RULE.test(line)) {
+          root.appendChild(el("hr"));
+          i++;
+        } else if (line.charAt(0) === ">") {
+          var quoted = [];
+          for (; i < lines.length && lines[i].charAt(0) === ">"; i++) quoted.push(lines[i].replace(/^>\s?/, ""));
+          var quote = el("blockquote");
+          Array.from(render(quoted.join("\n")).childNodes).forEach(function (child) {
+            quote.appendChild(child);
+          });
+          root.appendChild(quote);
+        } else if (list) {
+          var ordered = /\d/.test(list[1]);
+          var listEl = el(ordered ? "ol" : "ul");
+          for (; i < lines.length; i++) {
+            var item = /^\s*([-*+]|\d+[.)])\s+(.*)$/.exec(lines[i]);
+            if (!item || /\d/.test(item[1]) !== ordered) break;
+            listEl.appendChild(inline(el("li"), item[2]));
+          }
+          root.appendChild(listEl);
+        } else {
+          var paragraph = [line.trim()];
+          for (i++; i < lines.length && lines[i].trim() && !BLOCK_START.test(lines[i]) && !RULE.test(lines[i]); i++) {
+            paragraph.push(lines[i].trim());
+          }
+          root.appendChild(inline(el("p"), paragraph.join(" ")));
         }
+      }
+      return root;
+    }
+
+    return {
+      render: render
+    };
+  })();
+
+  /**
+   * Content manifest (content/manifest.json)
+   * - Single source for the About / Projects / Contact windows, their
+   *   sidebars, the virtual filesystem and the terminal's info commands.
+   * - load() fetches + renders; get() returns the loaded manifest (or null).
+   * - renderApp() fills any [data-content] sidebar layout; Settings uses it too.
+   * - Rendering builds DOM with textContent only; links are limited to
+   *   http(s), mailto and in-page hashes, images to http(s) and relative paths.
+   */
+  var content = (function () {
+    var MANIFEST_URL = "content/manifest.json";
+    var SAFE_HREF = /^(https?:|mailto:|#)/i;
+    var SAFE_SRC = /^(https?:|[^:]*$)/i;
+    var COMPOSE_SECTION = { id: "compose", label: "Message", title: "Send a Message" };
+    var manifest = null;
+
+    /**
+     * Label/value rows for an info-like block ("profile", "system", "info").
+     */
+    function infoItems(block) {
+      if (block.type === "profile") {
+        return [
+          { label: "Name", value: manifest.profile.name },
+          { label: "Role", value: manifest.profile.role },
+          { label: "Location", value: manifest.profile.location }
+        ];
+      }
+      if (block.type === "system") {
+        return [
+          { label: "OS Name", value: manifest.system.os },
+          { label: "Version", value: manifest.system.version },
+          { label: "Kernel", value: manifest.system.kernel },
+          { label: "Shell", value: manifest.system.shell }
+        ];
+      }
+      return block.items || [];
+    }
+
+    /**
+     * Flat project list: [{ category, project }] in manifest order.
+     */
+    function projects() {
+      if (!manifest) return [];
+      var list = [];
+      manifest.projects.categories.forEach(function (category) {
+        category.projects.forEach(function (project) {
+          list.push({ category: category, project: project });
+        });
       });
+      return list;
     }
 
-    function focusWindow(appId) {
-      // Remove focus from all windows
-      document.querySelectorAll(".app-window").forEach(function (win) {
-        win.classList.remove("is-focused");
+    function infoGrid(items) {
+      var grid = el("div", "info-grid");
+      items.forEach(function (item) {
+        grid.appendChild(el("span", "info-label", item.label));
+        var value = el("span", "info-value", item.value);
+        if (item.id) value.id = item.id;
+        grid.appendChild(value);
       });
+      return grid;
+    }
 
-      if (!appId) {
-        currentAppId = null;
-        updateIndicators();
+    function link(className, href, children) {
+      var safe = href && SAFE_HREF.test(href);
+      var node = el(safe ? "a" : "span", className);
+      if (safe) {
+        node.href = href;
+        if (/^https?:/i.test(href)) {
+          node.target = "_blank";
+          node.rel = "noopener";
+        }
+      }
+      children.forEach(function (child) {
+        node.appendChild(child);
+      });
+      return node;
+    }
+
+    function renderBlock(block, inner) {
+      if (block.type === "text") {
+        (block.paragraphs || []).forEach(function (text) {
+          inner.appendChild(el("p", "content-text", text));
+        });
         return;
       }
-      var win = getWindowEl(appId);
-      if (!win) return;
 
-      windowZ++;
-      win.style.zIndex = windowZ;
-      win.classList.add("is-focused");
-      currentAppId = appId;
-      updateIndicators();
-    }
+      var items = infoItems(block);
+      if (block.type === "system") {
+        items = items.concat({ label: "Uptime", value: "0 minutes", id: "system-uptime" });
+      }
+      inner.appendChild(infoGrid(items));
+    }
+
+    /**
+     * Projects window
+     * - The sidebar filters by tag: "All", then every tag (project.tags)
+     *   across categories. The sort control under it reorders every list
+     *   (Featured keeps manifest order).
+     * - A card opens the project's detail view in place of the list:
+     *   README (project.readme, Markdown lines), gallery (project.gallery,
+     *   [{ src, caption }]) and links. Back or Esc returns to the list.
+     * - Gallery images open in a lightbox: Left/Right step, Esc closes.
+     */
+    var PROJECT_SORTS = [
+      { id: "featured", label: "Featured" },
+      { id: "name", label: "Name" },
+      { id: "category", label: "Category" }
+    ];
+    var projectSort = "featured";
+    var lightbox = null; // { el, opener } while open
+
+    function tagId(tag) {
+      return String(tag).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    }
+
+    // Every tag once, [{ id, label }] by label.
+    function projectTags() {
+      var tags = [];
+      projects().forEach(function (entry) {
+        (entry.project.tags || []).forEach(function (label) {
+          var seen = tags.some(function (tag) {
+            return tag.id === tagId(label);
+          });
+          if (!seen) tags.push({ id: tagId(label), label: label });
+        });
+      });
+      return tags.sort(function (a, b) {
+        return a.label.localeCompare(b.label);
+      });
+    }
+
+    function sortedProjects() {
+      var list = projects();
+      var order = list.slice();
+      return list.sort(function (a, b) {
+        var byKey = projectSort === "name" ? a.project.title.localeCompare(b.project.title) :
+          projectSort === "category" ? a.category.title.localeCompare(b.category.title) : 0;
+        return byKey || order.indexOf(a) - order.indexOf(b);
+      });
+    }
+
+    function findProject(slug) {
+      return projects().find(function (entry) {
+        return entry.project.slug === slug;
+      }) || null;
+    }
+
+    function projectsLayout() {
+      return document.querySelector('[data-content="projects"]');
+    }
+
+    function projectActions(project) {
+      var actions = el("div", "project-actions");
+      (project.links || []).forEach(function (item) {
+        actions.appendChild(link(item.kind === "github" ? "btn-github" : "btn-demo", item.href, [document.createTextNode(item.label)]));
+      });
+      var primary = (project.links || []).filter(function (item) {
+        return SAFE_HREF.test(item.href);
+      })[0];
+      if (primary) {
+        var copy = el("button", "btn-copy", "Copy link");
+        copy.type = "button";
+        copy.setAttribute("data-copy", primary.href);
+        copy.setAttribute("data-copy-label", "Link");
+        actions.appendChild(copy);
+      }
+      return actions;
+    }
+
+    function renderProjectCard(project) {
+      var card = el("div", "project-card");
+      card.setAttribute("data-project", project.slug);
+
+      var header = el("div", "project-card__header");
+      header.appendChild(el("div", "project-icon", project.icon || ""));
+      var title = el("h3", "project-card__title");
+      var open = el("button", "project-card__open", project.title);
+      open.type = "button";
+      open.setAttribute("aria-label", project.title + ": details");
+      title.appendChild(open);
+      header.appendChild(title);
+      card.appendChild(header);
+      card.appendChild(el("p", "project-card__desc", project.description));
+      card.appendChild(el("div", "project-tech", (project.tech || []).join(" • ")));
+
+      var actions = projectActions(project);
+      if (actions.childElementCount) card.appendChild(actions);
+
+      // The whole card opens the details; its own links and buttons don't.
+      card.addEventListener("click", function (e) {
+        var control = e.target.closest("a, button");
+        if (control && control !== open) return;
+        openProject(project.slug, true);
+      });
+      return card;
+    }
+
+    function renderProjects() {
+      var sections = [{ id: "all", label: "All", title: "All Projects" }].concat(projectTags().map(function (tag) {
+        return { id: tag.id, label: tag.label, title: tag.label };
+      }));
+
+      renderApp("projects", sections, function (section, inner) {
+        var matching = sortedProjects().filter(function (entry) {
+          return section.id === "all" || (entry.project.tags || []).map(tagId).indexOf(section.id) !== -1;
+        });
+        inner.appendChild(el("p", "project-count", matching.length + (matching.length === 1 ? " project" : " projects")));
+        var grid = el("div", "app-project-grid");
+        matching.forEach(function (entry) {
+          grid.appendChild(renderProjectCard(entry.project));
+        });
+        inner.appendChild(grid);
+      });
+
+      var layout = projectsLayout();
+      if (!layout) return;
+      var detail = el("div", "app-section project-detail");
+      detail.id = "project-detail";
+      detail.setAttribute("role", "region");
+      detail.addEventListener("keydown", function (e) {
+        if (e.key === "Escape" && !lightbox) {
+          e.preventDefault();
+          closeProject();
+        }
+      });
+      layout.querySelector(".app-main").appendChild(detail);
+
+      var sidebar = layout.querySelector(".app-sidebar");
+      var old = sidebar.querySelector(".project-sort");
+      if (old) old.remove();
+      var sort = el("label", "project-sort");
+      sort.appendChild(el("span", "project-sort__label", "Sort by"));
+      var select = el("select", "project-sort__select");
+      PROJECT_SORTS.forEach(function (option) {
+        var item = el("option", "", option.label);
+        item.value = option.id;
+        select.appendChild(item);
+      });
+      select.value = projectSort;
+      select.addEventListener("change", function () {
+        sortProjects(select.value);
+        session.scheduleSave();
+      });
+      sort.appendChild(select);
+      sidebar.appendChild(sort);
+    }
+
+    /**
+     * Reorders the cards of every list; unknown sort ids are ignored.
+     */
+    function sortProjects(sortId) {
+      if (!PROJECT_SORTS.some(function (option) { return option.id === sortId; })) return;
+      projectSort = sortId;
+      var layout = projectsLayout();
+      if (!layout) return;
+      var select = layout.querySelector(".project-sort__select");
+      if (select) select.value = sortId;
+      var order = sortedProjects().map(function (entry) {
+        return entry.project.slug;
+      });
+      layout.querySelectorAll(".app-project-grid").forEach(function (grid) {
+        Array.from(grid.children).sort(function (a, b) {
+          return order.indexOf(a.getAttribute("data-project")) - order.indexOf(b.getAttribute("data-project"));
+        }).forEach(function (card) {
+          grid.appendChild(card);
+        });
+      });
+    }
+
+    function detailHeading(text) {
+      return el("h3", "project-detail__heading", text);
+    }
+
+    /**
+     * Shows a project's detail view (the window itself is the caller's
+     * business). Returns false for an unknown slug.
+     */
+    function openProject(slug, focus) {
+      var entry = findProject(slug);
+      var layout = projectsLayout();
+      var detail = layout && layout.querySelector(".project-detail");
+      if (!entry || !detail) return false;
+      var project = entry.project;
+      var list = layout.querySelector(".sidebar-item.active");
+      closeLightbox();
+
+      detail.textContent = "";
+      detail.setAttribute("data-project", slug);
+      detail.setAttribute("aria-label", project.title);
+      var outer = el("div", "section-content");
+      var inner = el("div", "section-content-inner");
+
+      var back = el("button", "project-detail__back", "← " + (list ? list.textContent : "Projects"));
+      back.type = "button";
+      back.setAttribute("aria-label", "Back to " + (list ? list.textContent : "projects"));
+      back.addEventListener("click", closeProject);
+      inner.appendChild(back);
+
+      var header = el("div", "project-card__header project-detail__header");
+      header.appendChild(el("div", "project-icon", project.icon || ""));
+      var heading = el("div");
+      heading.appendChild(el("h2", "section-title project-detail__title", project.title));
+      heading.appendChild(el("p", "project-detail__meta", entry.category.title + " · " + (project.tech || []).join(" • ")));
+      header.appendChild(heading);
+      inner.appendChild(header);
+      inner.appendChild(el("p", "content-text", project.description));
+
+      if ((project.tags || []).length) {
+        var tags = el("div", "project-tags");
+        project.tags.forEach(function (label) {
+          var tag = el("button", "project-tag", label);
+          tag.type = "button";
+          tag.title = "Show all " + label + " projects";
+          tag.addEventListener("click", function () {
+            var item = layout.querySelector('[data-section="projects-' + tagId(label) + '"]');
+            if (item) activateSection(item);
+          });
+          tags.appendChild(tag);
+        });
+        inner.appendChild(tags);
+      }
+
+      if (Array.isArray(project.readme) && project.readme.length) {
+        inner.appendChild(detailHeading("README"));
+        inner.appendChild(markdown.render(project.readme.join("\n")));
+      }
+
+      var images = (project.gallery || []).filter(function (image) {
+        return image && SAFE_SRC.test(image.src || "");
+      });
+      if (images.length) {
+        inner.appendChild(detailHeading("Gallery"));
+        var gallery = el("div", "project-gallery");
+        images.forEach(function (image, i) {
+          var thumb = el("button", "project-gallery__item");
+          thumb.type = "button";
+          thumb.setAttribute("aria-label", "View image " + (i + 1) + " of " + images.length + (image.caption ? ": " + image.caption : ""));
+          var img = el("img");
+          img.src = image.src;
+          img.alt = "";
+          img.loading = "lazy";
+          thumb.appendChild(img);
+          if (image.caption) thumb.appendChild(el("span", "project-gallery__caption", image.caption));
+          thumb.addEventListener("click", function () {
+            openLightbox(images, i, thumb);
+          });
+          gallery.appendChild(thumb);
+        });
+        inner.appendChild(gallery);
+      }
+
+      var actions = projectActions(project);
+      if (actions.childElementCount) {
+        inner.appendChild(detailHeading("Links"));
+        inner.appendChild(actions);
+      }
+
+      outer.appendChild(inner);
+      detail.appendChild(outer);
+      layout.querySelectorAll(".app-section").forEach(function (section) {
+        section.classList.toggle("active-section", section === detail);
+      });
+      if (focus) back.focus();
+      window.dispatchEvent(new CustomEvent("section-activated", { detail: { sectionId: detail.id } }));
+      session.scheduleSave();
+      return true;
+    }
+
+    // Back to the list the detail was opened from, its card focused.
+    function closeProject() {
+      var layout = projectsLayout();
+      var detail = layout && layout.querySelector(".project-detail.active-section");
+      if (!detail) return;
+      var slug = detail.getAttribute("data-project");
+      var list = layout.querySelector(".sidebar-item.active") || layout.querySelector(".sidebar-item");
+      if (list) activateSection(list);
+      var card = layout.querySelector(".app-section.active-section .project-card[data-project=\"" + slug + "\"] .project-card__open");
+      if (card) card.focus();
+      session.scheduleSave();
+    }
+
+    function openLightbox(images, index, opener) {
+      closeLightbox();
+      var box = el("div", "lightbox");
+      box.setAttribute("role", "dialog");
+      box.setAttribute("aria-modal", "true");
+      box.setAttribute("aria-label", "Image viewer");
+      var figure = el("figure", "lightbox__figure");
+      var img = el("img", "lightbox__image");
+      var caption = el("figcaption", "lightbox__caption");
+      figure.appendChild(img);
+      figure.appendChild(caption);
+
+      function addButton(className, text, label, onClick) {
+        var node = button("lightbox__button " + className, text, label);
+        node.addEventListener("click", onClick);
+        box.appendChild(node);
+        return node;
+      }
+
+      function show(i) {
+        index = (i + images.length) % images.length;
+        img.src = images[index].src;
+        img.alt = images[index].caption || "";
+        caption.textContent = (images[index].caption ? images[index].caption + " · " : "") + (index + 1) + " / " + images.length;
+      }
+
+      var close = addButton("lightbox__close", "×", "Close", closeLightbox);
+      if (images.length > 1) {
+        addButton("lightbox__prev", "‹", "Previous image", function () { show(index - 1); });
+        addButton("lightbox__next", "›", "Next image", function () { show(index + 1); });
+      }
+      box.appendChild(figure);
+      box.addEventListener("click", function (e) {
+        if (e.target === box) closeLightbox();
+      });
+      box.addEventListener("keydown", function (e) {
+        if (e.key === "Escape") closeLightbox();
+        else if (e.key === "ArrowLeft" && images.length > 1) show(index - 1);
+        else if (e.key === "ArrowRight" && images.length > 1) show(index + 1);
+        else return;
+        e.preventDefault();
+        e.stopPropagation();
+      });
+
+      show(index);
+      lightbox = { el: box, opener: opener };
+      opener.closest(".app-main").appendChild(box);
+      close.focus();
+    }
+
+    function closeLightbox() {
+      if (!lightbox) return;
+      var opener = lightbox.opener;
+      lightbox.el.remove();
+      lightbox = null;
+      if (opener.isConnected) opener.focus();
+    }
+
+    // For the session: the sort and the open detail view, if any.
+    function projectView() {
+      var layout = projectsLayout();
+      var detail = layout && layout.querySelector(".project-detail.active-section");
+      return { sort: projectSort, project: detail ? detail.getAttribute("data-project") : null };
+    }
+
+    /**
+     * A contact link plus a copy button. Web links copy the full URL;
+     * anything else (mailto:, plain text) copies the displayed value.
+     */
+    function renderContactItem(item, section) {
+      var row = el("div", "contact-row");
+      row.appendChild(link("contact-item", item.href, [
+        el("span", "contact-label", item.label),
+        el("span", "contact-value", item.value)
+      ]));
+      var copy = el("button", "btn-copy", "Copy");
+      copy.type = "button";
+      copy.setAttribute("data-copy", /^https?:/i.test(item.href || "") ? item.href : item.value);
+      copy.setAttribute("data-copy-label", section.label);
+      copy.setAttribute("aria-label", "Copy " + section.label + " " + item.label.toLowerCase());
+      row.appendChild(copy);
+      return row;
+    }
+
+    /**
+     * Fills an app's sidebar + sections. First section starts active.
+     */
+    function renderApp(appId, sections, renderBody) {
+      var layout = document.querySelector('[data-content="' + appId + '"]');
+      if (!layout) return;
+      var nav = layout.querySelector(".sidebar-nav");
+      var main = layout.querySelector(".app-main");
+      var win = layout.closest(".app-window");
+      nav.textContent = "";
+      main.textContent = "";
+      nav.setAttribute("role", "tablist");
+      nav.setAttribute("aria-orientation", "vertical");
+      if (win) nav.setAttribute("aria-label", win.getAttribute("aria-label") + " sections");
+
+      sections.forEach(function (section, i) {
+        var sectionId = appId + "-" + section.id;
+        var item = el("li", "sidebar-item" + (i === 0 ? " active" : ""), section.label);
+        item.id = sectionId + "-tab";
+        item.setAttribute("data-section", sectionId);
+        item.setAttribute("role", "tab");
+        item.setAttribute("aria-controls", sectionId);
+        item.setAttribute("aria-selected", String(i === 0));
+        item.tabIndex = i === 0 ? 0 : -1;
+        nav.appendChild(item);
+
+        var sectionEl = el("div", "app-section" + (i === 0 ? " active-section" : ""));
+        sectionEl.id = sectionId;
+        sectionEl.setAttribute("role", "tabpanel");
+        sectionEl.setAttribute("aria-labelledby", item.id);
+        var outer = el("div", "section-content");
+        var inner = el("div", "section-content-inner");
+        inner.appendChild(el("h2", "section-title", section.title));
+        renderBody(section, inner);
+        outer.appendChild(inner);
+        sectionEl.appendChild(outer);
+        main.appendChild(sectionEl);
+      });
+    }
+
+    function render() {
+      renderApp("about", manifest.about.sections, function (section, inner) {
+        section.blocks.forEach(function (block) {
+          renderBlock(block, inner);
+        });
+      });
+
+      renderProjects();
+
+      // The compose form is filled in by the mail module on "content-loaded".
+      renderApp("contact", manifest.contact.sections.concat(COMPOSE_SECTION), function (section, inner) {
+        (section.items || []).forEach(function (item) {
+          inner.appendChild(renderContactItem(item, section));
+        });
+      });
+    }
+
+    function renderError(message) {
+      document.querySelectorAll("[data-content] .app-main").forEach(function (main) {
+        main.textContent = "";
+        var box = el("div", "section-content");
+        box.appendChild(el("p", "content-text", message));
+        main.appendChild(box);
+      });
+    }
+
+    /**
+     * Fetches and renders the manifest. Resolves with it, or with null
+     * (after showing an error in the windows) if it can't be loaded.
+     */
+    function load() {
+      return window.fetch(MANIFEST_URL)
+        .then(function (response) {
+          if (!response.ok) throw new Error("HTTP " + response.status);
+          return response.json();
+        })
+        .then(function (data) {
+          manifest = data;
+          render();
+          return manifest;
+        })
+        .catch(function () {
+          manifest = null;
+          renderError("Couldn't load " + MANIFEST_URL + ". Serve the site over HTTP to see this content.");
+          return null;
+        });
+    }
+
+    return {
+      load: load,
+      get: function () {
+        return manifest;
+      },
+      infoItems: infoItems,
+      projects: projects,
+      openProject: openProject,
+      sortProjects: sortProjects,
+      projectView: projectView,
+      renderApp: renderApp
+    };
+  })();
+
+  /**
+   * Virtual filesystem (in-memory), built from the content manifest.
+   *
+   * Layout:
+   * - /home/techieman/about/<section>.txt     <- manifest.about.sections
+   * - /home/techieman/projects/<slug>.md      <- manifest.projects
+   * - /home/techieman/contact/<section>.txt   <- manifest.contact.sections
+   * - /home/techieman/assets/...              <- manifest.assets (images)
+   * - /etc/os-release                         <- manifest.system
+   *
+   * Nodes: { type: "dir", children: {} } | { type: "file", content: "" }
+   * Image files also carry src: the site URL the Files app previews.
+   * Writes and rebuilds fire "vfs-changed" with { path } (null = rebuild).
+   *
+   * Files written under HOME persist in localStorage and are laid over the
+   * tree on every build; setDefault() seeds a file (like ~/.techiemanrc)
+   * that exists until the visitor writes their own, or resetDefault()
+   * drops their copy (`reset-session --rc`).
+   */
+  var vfs = (function () {
+    var HOME = "/home/techieman";
+    var FILES_KEY = "techieman.os:files"; // { path: content } written under HOME
+    var root = makeDir();
+    var defaults = {}; // path -> content
+    var userFiles = {};
+
+    try {
+      var storedFiles = JSON.parse(window.localStorage.getItem(FILES_KEY)) || {};
+      Object.keys(storedFiles).forEach(function (path) {
+        if (path.indexOf(HOME + "/") === 0 && typeof storedFiles[path] === "string") userFiles[path] = storedFiles[path];
+      });
+    } catch (err) {
+      // Corrupt entry: start from the manifest files only.
+    }
+
+    function makeDir() {
+      return { type: "dir", children: {} };
+    }
+
+    /**
+     * Absolute, normalized path. Handles "~", ".", ".." and relative paths.
+     */
+    function normalize(path, cwd) {
+      if (!path) path = ".";
+      if (path === "~" || path.indexOf("~/") === 0) path = HOME + path.slice(1);
+      if (path.charAt(0) !== "/") path = (cwd || HOME) + "/" + path;
+
+      var parts = [];
+      path.split("/").forEach(function (part) {
+        if (part === "" || part === ".") return;
+        if (part === "..") parts.pop();
+        else parts.push(part);
+      });
+      return "/" + parts.join("/");
+    }
+
+    /**
+     * "/home/techieman/projects" => "~/projects" (prompt-friendly).
+     */
+    function displayPath(path) {
+      if (path === HOME) return "~";
+      if (path.indexOf(HOME + "/") === 0) return "~" + path.slice(HOME.length);
+      return path;
+    }
+
+    function stat(path) {
+      var node = root;
+      var parts = path.split("/").filter(Boolean);
+      for (var i = 0; i < parts.length; i++) {
+        if (node.type !== "dir" || !Object.prototype.hasOwnProperty.call(node.children, parts[i])) return null;
+        node = node.children[parts[i]];
+      }
+      return node;
+    }
+
+    function mkdirp(path) {
+      var node = root;
+      path.split("/").filter(Boolean).forEach(function (part) {
+        if (!node.children[part]) node.children[part] = makeDir();
+        node = node.children[part];
+      });
+      return node;
+    }
+
+    function addFile(path, content, src) {
+      var slash = path.lastIndexOf("/");
+      var node = { type: "file", content: content };
+      if (src) node.src = src;
+      mkdirp(path.slice(0, slash)).children[path.slice(slash + 1)] = node;
+    }
+
+    function changed(path) {
+      window.dispatchEvent(new CustomEvent("vfs-changed", { detail: { path: path } }));
+    }
+
+    /**
+     * Creates or replaces (append: extends) a file. The parent directory
+     * must exist. Throws with a bash-style reason on failure.
+     */
+    function writeFile(path, content, append) {
+      var slash = path.lastIndexOf("/");
+      var parent = stat(path.slice(0, slash) || "/");
+      var name = path.slice(slash + 1);
+      if (!parent || parent.type !== "dir") throw new Error("No such file or directory");
+      var existing = parent.children[name];
+      if (!name || (existing && existing.type === "dir")) throw new Error("Is a directory");
+      parent.children[name] = { type: "file", content: (append && existing ? existing.content : "") + content };
+      if (path.indexOf(HOME + "/") === 0) {
+        userFiles[path] = parent.children[name].content;
+        saveUserFiles();
+      }
+      changed(path);
+    }
+
+    function saveUserFiles() {
+      try {
+        window.localStorage.setItem(FILES_KEY, JSON.stringify(userFiles));
+      } catch (err) {
+        // Storage full or disabled: the file only lasts for this visit.
+      }
+    }
+
+    /**
+     * Puts a setDefault() file back to its default, forgetting the
+     * visitor's copy. Returns false if `path` has no default.
+     */
+    function resetDefault(path) {
+      path = normalize(path);
+      if (!Object.prototype.hasOwnProperty.call(defaults, path)) return false;
+      delete userFiles[path];
+      saveUserFiles();
+      addFile(path, defaults[path]);
+      changed(path);
+      return true;
+    }
+
+    /**
+     * Seeds `path` with `content` unless a file is already there.
+     */
+    function setDefault(path, content) {
+      defaults[path] = content;
+      if (!stat(path)) addFile(path, content);
+    }
+
+    /**
+     * Defaults, then the visitor's own files, over the built tree. A saved
+     * file whose folder no longer exists is skipped, not resurrected.
+     */
+    function applyOverlay() {
+      Object.keys(defaults).forEach(function (path) {
+        addFile(path, defaults[path]);
+      });
+      Object.keys(userFiles).forEach(function (path) {
+        var parent = stat(path.slice(0, path.lastIndexOf("/")));
+        var existing = stat(path);
+        if (parent && parent.type === "dir" && !(existing && existing.type === "dir")) {
+          parent.children[path.slice(path.lastIndexOf("/") + 1)] = { type: "file", content: userFiles[path] };
+        }
+      });
+    }
+
+    function list(path) {
+      var node = stat(path);
+      if (!node || node.type !== "dir") return null;
+      return Object.keys(node.children).sort();
+    }
+
+    function infoLines(items) {
+      return items.map(function (item) {
+        return item.label + ": " + item.value;
+      });
+    }
+
+    function aboutToText(section) {
+      var lines = [section.title, ""];
+      section.blocks.forEach(function (block) {
+        if (block.type === "text") {
+          block.paragraphs.forEach(function (text) {
+            lines.push(text, "");
+          });
+        } else {
+          lines = lines.concat(infoLines(content.infoItems(block)), "");
+        }
+      });
+      return lines.join("\n").trim() + "\n";
+    }
+
+    function contactToText(section) {
+      var lines = [section.title, ""];
+      section.items.forEach(function (item) {
+        lines.push(item.label + ": " + item.value);
+        if (item.href) lines.push("Link: " + item.href);
+        lines.push("");
+      });
+      return lines.join("\n").trim() + "\n";
+    }
+
+    function projectToMarkdown(project, category) {
+      var lines = [
+        "# " + project.title,
+        "",
+        project.description,
+        "",
+        "- Category: " + category,
+        "- Tags: " + (project.tags || []).join(", "),
+        "- Tech: " + (project.tech || []).join(" • ")
+      ];
+      (project.links || []).forEach(function (item) {
+        lines.push("- " + item.label + ": " + item.href);
+      });
+      if (Array.isArray(project.readme)) lines = lines.concat("", project.readme);
+      return lines.join("\n") + "\n";
+    }
+
+    /**
+     * (Re)builds the tree. Without a manifest only the skeleton exists.
+     */
+    function build(manifest) {
+      root = makeDir();
+      mkdirp(HOME);
+      mkdirp("/tmp");
+      if (!manifest) {
+        applyOverlay();
+        changed(null);
+        return;
+      }
+
+      manifest.about.sections.forEach(function (section) {
+        addFile(HOME + "/about/" + section.id + ".txt", aboutToText(section));
+      });
+      manifest.contact.sections.forEach(function (section) {
+        addFile(HOME + "/contact/" + section.id + ".txt", contactToText(section));
+      });
+
+      mkdirp(HOME + "/projects");
+      content.projects().forEach(function (entry) {
+        addFile(HOME + "/projects/" + entry.project.slug + ".md", projectToMarkdown(entry.project, entry.category.title));
+      });
+
+      var release = content.infoItems({ type: "system" }).map(function (item) {
+        return item.label.toUpperCase().replace(/[^A-Z0-9]+/g, "_") + '="' + item.value + '"';
+      });
+      addFile("/etc/os-release", release.join("\n") + "\n");
+
+      (manifest.assets || []).forEach(function (src) {
+        addFile(HOME + "/" + src, "[image: " + src + "]\n", src);
+      });
+      applyOverlay();
+      changed(null);
+    }
+
+    build(null);
+
+    return {
+      HOME: HOME,
+      build: build,
+      normalize: normalize,
+      displayPath: displayPath,
+      stat: stat,
+      list: list,
+      writeFile: writeFile,
+      setDefault: setDefault,
+      resetDefault: resetDefault
+    };
+  })();
+
+  /**
+   * Session persistence (localStorage)
+   * - Subsystems register named parts: { save() -> data, restore(data) }.
+   *   An optional prepare(data) runs for every part before any restore,
+   *   e.g. to create windows that the "windows" part then positions.
+   * - The snapshot is versioned; one written by another SESSION_VERSION is
+   *   discarded instead of being half-applied.
+   * - Saves are debounced after changes, and flushed when the page hides.
+   */
+  var session = (function () {
+    var SESSION_KEY = "techieman.os:session";
+    var SESSION_VERSION = 1;
+    var SAVE_DELAY = 500;
+    var parts = {}; // name -> { save, restore }
+    var saveTimer = null;
+    var disabled = false; // set by reset() so the wiped session isn't re-saved
+
+    function register(name, part) {
+      parts[name] = part;
+    }
+
+    function save() {
+      if (saveTimer !== null) {
+        window.clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+      if (disabled) return;
+
+      var snapshot = { version: SESSION_VERSION, savedAt: Date.now(), parts: {} };
+      Object.keys(parts).forEach(function (name) {
+        snapshot.parts[name] = parts[name].save();
+      });
+      try {
+        window.localStorage.setItem(SESSION_KEY, JSON.stringify(snapshot));
+      } catch (err) {
+        // Storage full or disabled: the session just won't survive a reload.
+      }
+    }
+
+    function scheduleSave() {
+      if (saveTimer !== null) window.clearTimeout(saveTimer);
+      saveTimer = window.setTimeout(save, SAVE_DELAY);
+    }
+
+    function load() {
+      try {
+        var snapshot = JSON.parse(window.localStorage.getItem(SESSION_KEY));
+        if (snapshot && snapshot.version === SESSION_VERSION && snapshot.parts) return snapshot;
+        if (snapshot) window.localStorage.removeItem(SESSION_KEY);
+      } catch (err) {
+        // Corrupt snapshot: start fresh.
+      }
+      return null;
+    }
+
+    /**
+     * Applies the saved snapshot. Returns true if there was one.
+     * A part that fails to restore is skipped (reported in the boot log);
+     * the others still apply.
+     */
+    function restore() {
+      var snapshot = load();
+      if (!snapshot) return false;
+
+      ["prepare", "restore"].forEach(function (step) {
+        Object.keys(parts).forEach(function (name) {
+          if (!snapshot.parts[name] || typeof parts[name][step] !== "function") return;
+          try {
+            parts[name][step](snapshot.parts[name]);
+          } catch (err) {
+            // Leave that part at its defaults and flag it in the boot log.
+            delete snapshot.parts[name];
+            boot.report("Failed to restore " + name + " session (" + err.message + ").", false);
+          }
+        });
+      });
+      return true;
+    }
+
+    function reset() {
+      disabled = true;
+      if (saveTimer !== null) window.clearTimeout(saveTimer);
+      try {
+        window.localStorage.removeItem(SESSION_KEY);
+      } catch (err) {
+        // Nothing to remove.
+      }
+    }
+
+    window.addEventListener("pagehide", save);
+    document.addEventListener("visibilitychange", function () {
+      if (document.visibilityState === "hidden") save();
+    });
+
+    return {
+      register: register,
+      scheduleSave: scheduleSave,
+      restore: restore,
+      reset: reset
+    };
+  })();
+
+  /**
+   * Appearance settings (Settings app, `theme` / `wallpaper` commands)
+   * - Applied as data-theme on <html> plus CSS custom properties
+   *   (--accent, --font-scale, --motion-scale, --wallpaper, --wallpaper-color).
+   * - Stored under their own key, so `reset-session` keeps the look.
+   * - set(key, value) validates, applies, saves and fires "settings-changed".
+   *   Wallpaper and accent also accept a custom "#rrggbb" color.
+   */
+  var settings = (function () {
+    var SETTINGS_KEY = "techieman.os:settings";
+    var HEX_COLOR = /^#[0-9a-f]{6}$/i;
+    var OPTIONS = {
+      theme: [
+        { id: "dark", label: "Dark" },
+        { id: "light", label: "Light" },
+        { id: "high-contrast", label: "High Contrast" }
+      ],
+      wallpaper: [
+        { id: "zeller", label: "Zeller", image: "assets/coolbackgrounds-unsplash-zeller.jpg" },
+        { id: "graphite", label: "Graphite", color: "#1e1e22" },
+        { id: "midnight", label: "Midnight", color: "#0d1b2a" },
+        { id: "aubergine", label: "Aubergine", color: "#2c001e" },
+        { id: "forest", label: "Forest", color: "#10261b" }
+      ],
+      accent: [
+        { id: "blue", label: "Blue", color: "#4da6ff" },
+        { id: "orange", label: "Orange", color: "#e95420" },
+        { id: "green", label: "Green", color: "#2ec27e" },
+        { id: "purple", label: "Purple", color: "#c061cb" },
+        { id: "yellow", label: "Yellow", color: "#f6d32d" },
+        { id: "red", label: "Red", color: "#ff6b6b" }
+      ],
+      fontSize: [
+        { id: "small", label: "Small", scale: 0.9 },
+        { id: "default", label: "Default", scale: 1 },
+        { id: "large", label: "Large", scale: 1.15 },
+        { id: "larger", label: "Larger", scale: 1.3 }
+      ],
+      motion: [
+        { id: "fast", label: "Fast", scale: 0.5 },
+        { id: "normal", label: "Normal", scale: 1 },
+        { id: "slow", label: "Slow", scale: 1.75 }
+      ]
+    };
+    var CUSTOM_COLOR = { wallpaper: true, accent: true };
+    var DEFAULTS = { theme: "dark", wallpaper: "zeller", accent: "blue", fontSize: "default", motion: "normal" };
+    var values = Object.assign({}, DEFAULTS);
+    var root = document.documentElement;
+
+    function find(key, id) {
+      return (OPTIONS[key] || []).find(function (option) {
+        return option.id === id;
+      }) || null;
+    }
+
+    function isValid(key, value) {
+      if (typeof value !== "string") return false;
+      return Boolean(find(key, value)) || (CUSTOM_COLOR[key] === true && HEX_COLOR.test(value));
+    }
+
+    function apply() {
+      root.setAttribute("data-theme", values.theme);
+
+      var wallpaper = find("wallpaper", values.wallpaper);
+      if (wallpaper && wallpaper.image) {
+        root.style.setProperty("--wallpaper", 'url("' + new URL(wallpaper.image, document.baseURI).href + '")');
+        root.style.removeProperty("--wallpaper-color");
+      } else {
+        root.style.setProperty("--wallpaper", "none");
+        root.style.setProperty("--wallpaper-color", wallpaper ? wallpaper.color : values.wallpaper);
+      }
+
+      // The default accent is left to the theme (high contrast has its own).
+      var accent = find("accent", values.accent);
+      if (values.accent === DEFAULTS.accent) root.style.removeProperty("--accent");
+      else root.style.setProperty("--accent", accent ? accent.color : values.accent);
+
+      root.style.setProperty("--font-scale", String(find("fontSize", values.fontSize).scale));
+      root.style.setProperty("--motion-scale", String(find("motion", values.motion).scale));
+    }
+
+    function save() {
+      try {
+        window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(values));
+      } catch (err) {
+        // Storage full or disabled: settings only last for this visit.
+      }
+    }
+
+    function set(key, value) {
+      value = typeof value === "string" && !HEX_COLOR.test(value) ? value.toLowerCase() : value;
+      if (!(key in DEFAULTS) || !isValid(key, value)) return false;
+      values[key] = value;
+      apply();
+      save();
+      window.dispatchEvent(new CustomEvent("settings-changed", { detail: { key: key, value: value } }));
+      return true;
+    }
+
+    try {
+      var stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY)) || {};
+      Object.keys(DEFAULTS).forEach(function (key) {
+        if (isValid(key, stored[key])) values[key] = stored[key];
+      });
+    } catch (err) {
+      // Corrupt settings: keep the defaults.
+    }
+    apply();
+    boot.report("Applied appearance settings.");
+
+    return {
+      options: OPTIONS,
+      get: function (key) {
+        return values[key];
+      },
+      set: set,
+      describe: function (key) {
+        var option = find(key, values[key]);
+        return option ? option.label : values[key];
+      }
+    };
+  })();
+
+  /**
+   * Notifications (GNOME-style)
+   *
+   *   notify({
+   *     title: "Session restored",
+   *     body: "optional text",
+   *     icon: "assets/x.png" | "✓",   // image path or a short glyph
+   *     actions: [{ label: "Undo", run: function () {} }],
+   *     timeout: 5000                  // ms on screen; 0 keeps it until dismissed
+   *   }) -> id
+   *
+   * - Banners stack under the top bar; hovering one holds its timer.
+   * - Every notification also lands in the notification center, which opens
+   *   from the clock. Do-not-disturb (persisted) skips banners only.
+   */
+  var notifications = (function () {
+    var PREFS_KEY = "techieman.os:notifications";
+    var DEFAULT_TIMEOUT = 5000;
+    var MAX_BANNERS = 3;
+    var HISTORY_LIMIT = 50;
+    var history = []; // newest first: { id, title, body, icon, actions, time }
+    var nextId = 1;
+    var dnd = false;
+
+    try {
+      dnd = Boolean((JSON.parse(window.localStorage.getItem(PREFS_KEY)) || {}).dnd);
+    } catch (err) {
+      dnd = false;
+    }
+
+    var banners = el("div", "notification-banners");
+    banners.setAttribute("role", "status");
+    banners.setAttribute("aria-live", "polite");
+    document.body.appendChild(banners);
+
+    var clock = document.querySelector("[data-notification-center]");
+    var panel = el("div", "notification-center");
+    panel.id = "notification-center";
+    panel.hidden = true;
+    panel.setAttribute("role", "dialog");
+    panel.setAttribute("aria-label", "Notifications");
+
+    var panelDate = el("div", "notification-center__date");
+    var list = el("ul", "notification-center__list");
+    var empty = el("p", "notification-center__empty", "No Notifications");
+    var footer = el("div", "notification-center__footer");
+    var dndToggle = el("button", "notification-center__dnd", "Do Not Disturb");
+    dndToggle.type = "button";
+    dndToggle.setAttribute("role", "switch");
+    var clearButton = el("button", "notification-center__clear", "Clear");
+    clearButton.type = "button";
+    footer.appendChild(dndToggle);
+    footer.appendChild(clearButton);
+    panel.appendChild(panelDate);
+    panel.appendChild(list);
+    panel.appendChild(empty);
+    panel.appendChild(footer);
+    document.body.appendChild(panel);
+
+    function timeLabel(date) {
+      return String(date.getHours()).padStart(2, "0") + ":" + String(date.getMinutes()).padStart(2, "0");
+    }
+
+    function renderIcon(icon) {
+      var wrap = el("span", "notification__icon");
+      wrap.setAttribute("aria-hidden", "true");
+      if (/[./]/.test(icon)) {
+        var img = document.createElement("img");
+        img.src = icon;
+        img.alt = "";
+        wrap.appendChild(img);
+      } else {
+        wrap.textContent = icon;
+      }
+      return wrap;
+    }
+
+    /**
+     * Shared markup for banners and center entries. `onDone` runs after an
+     * action or the close button.
+     */
+    function renderNotification(entry, className, onDone) {
+      var node = el("div", "notification " + className);
+      if (entry.icon) node.appendChild(renderIcon(entry.icon));
+
+      var text = el("div", "notification__text");
+      var head = el("div", "notification__head");
+      head.appendChild(el("span", "notification__title", entry.title));
+      head.appendChild(el("span", "notification__time", timeLabel(entry.time)));
+      text.appendChild(head);
+      if (entry.body) text.appendChild(el("div", "notification__body", entry.body));
+
+      if (entry.actions.length) {
+        var actions = el("div", "notification__actions");
+        entry.actions.forEach(function (action) {
+          var button = el("button", "notification__action", action.label);
+          button.type = "button";
+          button.addEventListener("click", function () {
+            if (typeof action.run === "function") action.run();
+            onDone();
+          });
+          actions.appendChild(button);
+        });
+        text.appendChild(actions);
+      }
+      node.appendChild(text);
+
+      var close = el("button", "notification__close", "×");
+      close.type = "button";
+      close.setAttribute("aria-label", "Dismiss notification");
+      close.addEventListener("click", onDone);
+      node.appendChild(close);
+      return node;
+    }
+
+    function showBanner(entry, timeout) {
+      var timer = null;
+      var banner = renderNotification(entry, "notification--banner", dismiss);
+
+      function dismiss() {
+        window.clearTimeout(timer);
+        if (banner.parentNode) banner.parentNode.removeChild(banner);
+      }
+
+      function arm() {
+        if (timeout > 0) timer = window.setTimeout(dismiss, timeout);
+      }
+
+      banner.addEventListener("pointerenter", function () {
+        window.clearTimeout(timer);
+      });
+      banner.addEventListener("pointerleave", arm);
+
+      banners.appendChild(banner);
+      while (banners.childElementCount > MAX_BANNERS) banners.removeChild(banners.firstChild);
+      arm();
+    }
+
+    function renderCenter() {
+      list.textContent = "";
+      history.forEach(function (entry, index) {
+        var item = el("li");
+        item.appendChild(renderNotification(entry, "notification--entry", function () {
+          remove(entry.id);
+          focusEntry(index);
+        }));
+        list.appendChild(item);
+      });
+      empty.hidden = history.length > 0;
+      clearButton.disabled = history.length === 0;
+      dndToggle.setAttribute("aria-checked", String(dnd));
+      if (clock) clock.classList.toggle("has-notifications", history.length > 0);
+    }
+
+    function notify(options) {
+      options = options || {};
+      var entry = {
+        id: nextId++,
+        title: String(options.title || "Notification"),
+        body: options.body ? String(options.body) : "",
+        icon: options.icon ? String(options.icon) : "",
+        actions: Array.isArray(options.actions) ? options.actions : [],
+        time: new Date()
+      };
+
+      history.unshift(entry);
+      history.length = Math.min(history.length, HISTORY_LIMIT);
+      renderCenter();
+      if (!dnd) showBanner(entry, options.timeout === undefined ? DEFAULT_TIMEOUT : Number(options.timeout) || 0);
+      return entry.id;
+    }
+
+    function remove(id) {
+      history = history.filter(function (entry) {
+        return entry.id !== id;
+      });
+      renderCenter();
+    }
+
+    /** Keeps focus in the open center after an entry goes away. */
+    function focusEntry(index) {
+      if (panel.hidden) return;
+      var closes = list.querySelectorAll(".notification__close");
+      var next = closes[Math.min(index, closes.length - 1)];
+      (next || dndToggle).focus();
+    }
+
+    function setDoNotDisturb(on) {
+      dnd = Boolean(on);
+      try {
+        window.localStorage.setItem(PREFS_KEY, JSON.stringify({ dnd: dnd }));
+      } catch (err) {
+        // Preference just won't survive a reload.
+      }
+      if (dnd) banners.textContent = "";
+      renderCenter();
+    }
+
+    function openCenter() {
+      panelDate.textContent = new Date().toLocaleDateString(undefined, { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+      panel.hidden = false;
+      if (clock) clock.setAttribute("aria-expanded", "true");
+      dndToggle.focus();
+    }
+
+    function closeCenter() {
+      if (panel.hidden) return;
+      panel.hidden = true;
+      if (clock) clock.setAttribute("aria-expanded", "false");
+    }
+
+    dndToggle.addEventListener("click", function () {
+      setDoNotDisturb(!dnd);
+    });
+
+    clearButton.addEventListener("click", function () {
+      history = [];
+      renderCenter();
+    });
+
+    document.addEventListener("click", function (e) {
+      if (clock && e.target.closest("[data-notification-center]")) {
+        if (panel.hidden) openCenter();
+        else closeCenter();
+      } else if (!panel.contains(e.target) && e.target.isConnected) {
+        // Entries re-render on dismiss, so a click inside the panel may
+        // land on a button that is no longer in the document.
+        closeCenter();
+      }
+    });
+
+    document.addEventListener("keydown", function (e) {
+      if (e.key === "Escape" && !panel.hidden) {
+        closeCenter();
+        if (clock) clock.focus();
+      }
+    });
+
+    renderCenter();
+    boot.report("Started Notification Service.");
+
+    return {
+      notify: notify,
+      setDoNotDisturb: setDoNotDisturb,
+      isDoNotDisturb: function () {
+        return dnd;
+      }
+    };
+  })();
+
+  var notify = notifications.notify;
+
+  /**
+   * Clipboard: writes text and confirms with a notification. Any element
+   * with data-copy="<text>" (and optional data-copy-label) copies on click.
+   */
+  function copyText(text, label) {
+    var done = function () {
+      notify({ title: (label || "Text") + " copied", body: text, icon: "⧉", timeout: 3000 });
+    };
+    var fallback = function () {
+      var area = document.createElement("textarea");
+      area.value = text;
+      area.setAttribute("readonly", "");
+      area.style.position = "fixed";
+      area.style.opacity = "0";
+      document.body.appendChild(area);
+      area.select();
+      var ok = false;
+      try {
+        ok = document.execCommand("copy");
+      } catch (err) {
+        ok = false;
+      }
+      document.body.removeChild(area);
+      if (ok) done();
+      else notify({ title: "Couldn't copy", body: text, icon: "!" });
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(done, fallback);
+    } else {
+      fallback();
+    }
+  }
+
+  document.addEventListener("click", function (e) {
+    var trigger = e.target.closest("[data-copy]");
+    if (!trigger) return;
+    e.preventDefault();
+    copyText(trigger.getAttribute("data-copy"), trigger.getAttribute("data-copy-label"));
+  });
+
+  /**
+   * Mail: the Contact window's compose form and the `mail` command.
+   *
+   *   mail.send({ name, email, subject, message }) -> Promise<string>
+   *
+   * - Delivery goes through a transport adapter picked by
+   *   manifest.contact.transport.type:
+   *     "mailto" (default) opens the visitor's mail client,
+   *     "post"             POSTs JSON to transport.endpoint,
+   *     "mock"             resolves after a delay, for local testing.
+   *   registerTransport(type, fn) adds more; fn(message, config) returns a
+   *   Promise resolving to a short status line.
+   * - send() rejects with err.fields ({ field: problem }) on bad input and
+   *   err.retryAfter (ms) when rate limited (one per minute, five per hour).
+   * - The form's draft and recent send times persist in localStorage.
+   */
+  var mail = (function () {
+    var MAIL_KEY = "techieman.os:mail"; // { draft, sent: [timestamps] }
+    var EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    var LIMITS = { name: 100, subject: 150, message: 5000 };
+    var MIN_MESSAGE = 10;
+    var MIN_INTERVAL = 60 * 1000;
+    var HOURLY_LIMIT = 5;
+    var FIELDS = ["name", "email", "subject", "message"];
+    var state = { draft: null, sent: [] };
+
+    try {
+      var stored = JSON.parse(window.localStorage.getItem(MAIL_KEY)) || {};
+      state.draft = stored.draft && typeof stored.draft === "object" ? stored.draft : null;
+      state.sent = Array.isArray(stored.sent) ? stored.sent.filter(function (t) { return typeof t === "number"; }) : [];
+    } catch (err) {
+      // Corrupt entry: start without a draft.
+    }
+
+    function save() {
+      try {
+        window.localStorage.setItem(MAIL_KEY, JSON.stringify(state));
+      } catch (err) {
+        // Storage full or disabled: drafts only last for this visit.
+      }
+    }
+
+    function mailtoHref(message, to) {
+      var body = message.message + "\n\n-- \n" + message.name + " <" + message.email + ">";
+      return "mailto:" + encodeURIComponent(to) +
+        "?subject=" + encodeURIComponent(message.subject || "Hello from techieman.os") +
+        "&body=" + encodeURIComponent(body);
+    }
+
+    var transports = {
+      mailto: function (message, config) {
+        window.location.href = mailtoHref(message, config.to);
+        return Promise.resolve("Opened your mail app to send it.");
+      },
+      post: function (message, config) {
+        return window.fetch(config.endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(message)
+        }).then(function (response) {
+          if (!response.ok) throw new Error("Server answered HTTP " + response.status + ".");
+          return "Message sent.";
+        });
+      },
+      mock: function () {
+        return new Promise(function (resolve) {
+          window.setTimeout(function () {
+            resolve("Delivered to the mock transport (nothing was sent).");
+          }, 600);
+        });
+      }
+    };
+
+    /**
+     * manifest.contact.transport, falling back to mailto: the first
+     * mailto link in the Contact sections.
+     */
+    function transportConfig() {
+      var manifest = content.get();
+      var contact = manifest ? manifest.contact : {};
+      var config = Object.assign({ type: "mailto" }, contact.transport);
+      if (!config.to) {
+        (contact.sections || []).some(function (section) {
+          return (section.items || []).some(function (item) {
+            if (!/^mailto:/i.test(item.href || "")) return false;
+            config.to = item.href.slice(7);
+            return true;
+          });
+        });
+      }
+      if (!transports[config.type] || (config.type === "post" && !config.endpoint)) config.type = "mailto";
+      return config;
+    }
+
+    function validate(message) {
+      var problems = {};
+      if (!message.name) problems.name = "Please enter your name.";
+      else if (message.name.length > LIMITS.name) problems.name = "Name is too long (max " + LIMITS.name + " characters).";
+      if (!EMAIL.test(message.email)) problems.email = "Please enter a valid email address.";
+      if (message.subject.length > LIMITS.subject) problems.subject = "Subject is too long (max " + LIMITS.subject + " characters).";
+      if (message.message.length < MIN_MESSAGE) problems.message = "Message is too short (min " + MIN_MESSAGE + " characters).";
+      else if (message.message.length > LIMITS.message) problems.message = "Message is too long (max " + LIMITS.message + " characters).";
+      return problems;
+    }
+
+    /**
+     * Milliseconds until another message may be sent (0 = now).
+     */
+    function retryAfter() {
+      var now = Date.now();
+      state.sent = state.sent.filter(function (t) { return now - t < 3600 * 1000; });
+      var last = state.sent[state.sent.length - 1];
+      var wait = last ? last + MIN_INTERVAL - now : 0;
+      if (state.sent.length >= HOURLY_LIMIT) wait = Math.max(wait, state.sent[0] + 3600 * 1000 - now);
+      return Math.max(0, wait);
+    }
+
+    function describeWait(ms) {
+      var seconds = Math.ceil(ms / 1000);
+      return seconds < 120 ? seconds + " seconds" : Math.ceil(seconds / 60) + " minutes";
+    }
+
+    function normalize(message) {
+      var clean = {};
+      FIELDS.forEach(function (field) {
+        clean[field] = String(message[field] || "").trim();
+      });
+      return clean;
+    }
+
+    function send(message) {
+      message = normalize(message);
+      var problems = validate(message);
+      if (Object.keys(problems).length) {
+        var invalid = new Error(problems[Object.keys(problems)[0]]);
+        invalid.fields = problems;
+        return Promise.reject(invalid);
+      }
+      var wait = retryAfter();
+      if (wait) {
+        var limited = new Error("You're sending too fast. Try again in " + describeWait(wait) + ".");
+        limited.retryAfter = wait;
+        return Promise.reject(limited);
+      }
+
+      var config = transportConfig();
+      return transports[config.type](message, config).then(function (status) {
+        state.sent.push(Date.now());
+        save();
+        return status;
+      });
+    }
+
+    function saveDraft(draft) {
+      draft = normalize(draft);
+      var empty = FIELDS.every(function (field) { return !draft[field]; });
+      state.draft = empty ? null : draft;
+      save();
+    }
+
+    function clearDraft() {
+      state.draft = null;
+      save();
+      if (form) fillForm();
+    }
+
+    /**
+     * Compose form in the Contact window's "Message" section.
+     */
+    var form = null;
+    var status = null;
+    var draftTimer = null;
+
+    function field(name, label, control) {
+      var wrap = el("div", "compose-field");
+      var id = "compose-" + name;
+      var labelEl = el("label", "compose-field__label", label);
+      labelEl.htmlFor = id;
+      control.id = id;
+      control.name = name;
+      control.className = "compose-field__control";
+      if (LIMITS[name]) control.maxLength = LIMITS[name];
+      var error = el("p", "compose-field__error");
+      error.id = id + "-error";
+      control.setAttribute("aria-describedby", error.id);
+      wrap.appendChild(labelEl);
+      wrap.appendChild(control);
+      wrap.appendChild(error);
+      return wrap;
+    }
+
+    function input(type, autocomplete) {
+      var node = document.createElement("input");
+      node.type = type;
+      node.autocomplete = autocomplete;
+      return node;
+    }
+
+    function fillForm() {
+      var draft = state.draft || {};
+      FIELDS.forEach(function (name) {
+        form.elements[name].value = draft[name] || "";
+      });
+      showErrors({});
+    }
+
+    function readForm() {
+      var message = {};
+      FIELDS.forEach(function (name) {
+        message[name] = form.elements[name].value;
+      });
+      return message;
+    }
+
+    function showErrors(problems) {
+      FIELDS.forEach(function (name) {
+        var control = form.elements[name];
+        control.setAttribute("aria-invalid", String(Boolean(problems[name])));
+        document.getElementById(control.id + "-error").textContent = problems[name] || "";
+      });
+    }
+
+    function setStatus(text, kind) {
+      status.textContent = text;
+      status.className = "compose-status" + (kind ? " compose-status--" + kind : "");
+    }
+
+    function mountForm() {
+      var host = document.querySelector("#contact-compose .section-content-inner");
+      if (!host) return;
+
+      form = el("form", "compose-form");
+      form.noValidate = true;
+      form.setAttribute("aria-label", "Send a message");
+      var message = document.createElement("textarea");
+      message.rows = 6;
+      form.appendChild(field("name", "Your name", input("text", "name")));
+      form.appendChild(field("email", "Your email", input("email", "email")));
+      form.appendChild(field("subject", "Subject (optional)", input("text", "off")));
+      form.appendChild(field("message", "Message", message));
+
+      var actions = el("div", "compose-actions");
+      var sendButton = el("button", "compose-send", "Send");
+      sendButton.type = "submit";
+      var discard = el("button", "btn-copy", "Discard draft");
+      discard.type = "button";
+      actions.appendChild(sendButton);
+      actions.appendChild(discard);
+      form.appendChild(actions);
+
+      status = el("p", "compose-status");
+      status.setAttribute("role", "status");
+      form.appendChild(status);
+      host.appendChild(form);
+      fillForm();
+      if (state.draft) setStatus("Draft restored.");
+
+      form.addEventListener("input", function () {
+        window.clearTimeout(draftTimer);
+        draftTimer = window.setTimeout(function () {
+          saveDraft(readForm());
+          setStatus(state.draft ? "Draft saved." : "");
+        }, 400);
+      });
+
+      discard.addEventListener("click", function () {
+        window.clearTimeout(draftTimer);
+        clearDraft();
+        setStatus("Draft discarded.");
+      });
+
+      form.addEventListener("submit", function (e) {
+        e.preventDefault();
+        window.clearTimeout(draftTimer);
+        var draft = readForm();
+        saveDraft(draft);
+        sendButton.disabled = true;
+        setStatus("Sending…");
+        send(draft).then(function (result) {
+          clearDraft();
+          setStatus(result, "ok");
+          notify({ title: "Message sent", body: result, icon: "✉" });
+        }, function (err) {
+          showErrors(err.fields || {});
+          setStatus(err.message, "error");
+          if (!err.fields && !err.retryAfter) {
+            notify({
+              title: "Message not sent",
+              body: err.message,
+              icon: "!",
+              actions: [{ label: "Use mail app", run: function () { transports.mailto(normalize(draft), transportConfig()); } }]
+            });
+          }
+          var first = err.fields && form.elements[Object.keys(err.fields)[0]];
+          if (first) first.focus();
+        }).then(function () {
+          sendButton.disabled = false;
+        });
+      });
+    }
+
+    window.addEventListener("content-loaded", mountForm);
+
+    return {
+      send: send,
+      validate: function (message) {
+        return validate(normalize(message));
+      },
+      draft: function () {
+        return state.draft;
+      },
+      saveDraft: saveDraft,
+      clearDraft: clearDraft,
+      transport: function () {
+        return transportConfig().type;
+      },
+      registerTransport: function (type, fn) {
+        transports[type] = fn;
+      }
+    };
+  })();
+
+  /**
+   * App windows (OS-style): generic open/close by app id.
+   *
+   * Mapping:
+   * - Dock icons:  data-launch-app="about|projects|..."
+   * - Windows:     id="app-about", id="app-projects", ...
+   * - Close btn:   data-app-close="about|projects|..."
+   * - Other apps:  registerApp() creates all of the above (see App registry)
+   *
+   * Behavior:
+   * - Only ONE app window visible at a time (opening a new one closes current).
+   * - Reuses existing CSS transition (opacity/scale/blur, 200ms).
+   */
+  (function () {
+    var currentAppId = null; // Focused app
+    var isAnimating = false;
+    var runningApps = new Set();
+    var processes = new Map(); // appId -> { pid, started } for ps/top/kill
+    var nextPid = 1000;
+    var windowZ = 100;
+    const STACK_OFFSET = 20;
+    const STACK_DEPTH = 6; // cascade steps before new windows wrap back
+
+    function updateIndicators() {
+      document.querySelectorAll("[data-launch-app]").forEach(function (icon) {
+        var appId = icon.getAttribute("data-launch-app");
+        var indicator = icon.querySelector(".dock-indicator");
+        if (!indicator) return;
+
+        indicator.classList.remove("dock-indicator-dot", "dock-indicator-line", "dock-indicator-away");
+
+        if (currentAppId === appId) {
+          indicator.classList.add("dock-indicator-line");
+        } else if (runningApps.has(appId)) {
+          // Hollow dot: running, but only on another workspace.
+          indicator.classList.add(workspaceOf(appId) === activeWorkspace ? "dock-indicator-dot" : "dock-indicator-away");
+        }
+      });
+      renderWorkspaceDots();
+    }
+
+    function focusWindow(appId) {
+      // Remove focus from all windows
+      document.querySelectorAll(".app-window").forEach(function (win) {
+        win.classList.remove("is-focused");
+      });
+
+      if (!appId) {
+        currentAppId = null;
+        updateIndicators();
+        syncRoute();
+        return;
+      }
+      var win = getWindowEl(appId);
+      if (!win) return;
+
+      windowZ++;
+      win.style.zIndex = windowZ;
+      win.classList.add("is-focused");
+      currentAppId = appId;
+      updateIndicators();
+      session.scheduleSave();
+      syncRoute();
+    }
+
+    function minimizeApp(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      var hadFocus = win.contains(document.activeElement);
+      win.classList.remove("is-open", "is-focused");
+      win.classList.add("is-minimized");
+      win.style.display = "none";
+      win.setAttribute("aria-hidden", "true");
+      setNextFocus();
+      returnFocusToDock(appId, hadFocus);
+      session.scheduleSave();
+    }
+
+    function restoreApp(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      win.classList.remove("is-minimized", "is-away");
+      win.style.display = "block";
+      win.setAttribute("aria-hidden", "false");
+
+      requestAnimationFrame(function () {
+        win.classList.add("is-open");
+        focusWindow(appId);
+        focusInto(appId);
+      });
+    }
+
+    function setNextFocus() {
+      var windows = Array.from(document.querySelectorAll(".app-window.is-open")).filter(isOnActiveWorkspace);
+      if (windows.length === 0) {
+        focusWindow(null);
+        return;
+      }
+
+      // Sort by z-index descending
+      windows.sort(function (a, b) {
+        return parseInt(window.getComputedStyle(b).zIndex) - parseInt(window.getComputedStyle(a).zIndex);
+      });
+
+      var highest = windows[0];
+      var id = highest.id.replace("app-", "");
+      focusWindow(id);
+    }
+
+    function getWindowEl(appId) {
+      return document.getElementById("app-" + appId);
+    }
+
+    /**
+     * Process entry of a running app, created on first use (so windows
+     * restored from the session get one too).
+     */
+    function processOf(appId) {
+      if (!processes.has(appId)) processes.set(appId, { pid: nextPid++, started: Date.now() });
+      return processes.get(appId);
+    }
+
+    /**
+     * Moves keyboard focus into a window: its [data-autofocus] element, the
+     * selected sidebar tab, or the window itself (tabindex="-1").
+     */
+    function focusInto(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      var target = win.querySelector("[data-autofocus]") ||
+        win.querySelector('.sidebar-item[aria-selected="true"]') ||
+        win;
+      target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Hands focus back to the app's dock icon when it left a window that is
+     * being hidden, so keyboard users are not dropped on <body>.
+     */
+    function returnFocusToDock(appId, hadFocus) {
+      if (!hadFocus) return;
+      var launcher = document.querySelector('[data-launch-app="' + appId + '"]');
+      if (launcher) launcher.focus();
+    }
+
+    /**
+     * Brings an app to the front whatever its state (closed, minimized, behind).
+     */
+    function showApp(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      if (runningApps.has(appId) && workspaceOf(appId) !== activeWorkspace) switchWorkspace(workspaceOf(appId));
+      if (!runningApps.has(appId)) openApp(appId);
+      else if (win.classList.contains("is-minimized")) restoreApp(appId);
+      else {
+        focusWindow(appId);
+        focusInto(appId);
+      }
+    }
+
+    /**
+     * Default (unpinned) placement: centered, nudged by STACK_OFFSET per
+     * cascade step (data-stack) so windows opened over others stay visible.
+     */
+    function centeredTransform(scale, step) {
+      var offset = STACK_OFFSET * (1 + (step || 0));
+      return `translate(calc(-50% + ${offset}px), calc(-50% + ${offset}px)) scale(${scale})`;
+    }
+
+    function openApp(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      if (isAnimating) return;
+
+      var step = workspaceWindows(activeWorkspace).filter(function (other) {
+        return other !== win;
+      }).length % STACK_DEPTH;
+      isAnimating = true;
+      currentAppId = appId;
+      runningApps.add(appId);
+      processOf(appId);
+      win.setAttribute("data-workspace", String(activeWorkspace));
+      win.classList.remove("is-minimized", "is-away");
+      
+      // Reset position to default (centered) for opening animation
+      win.style.top = "";
+      win.style.left = "";
+      win.style.width = "";
+      win.style.height = "";
+      win.style.margin = "";
+      win.classList.remove("is-maximized", "is-snapped");
+      win.removeAttribute("data-snap");
+      savedGeometry.delete(appId);
+      
+      // Small offset from center, one step further per window already open
+      win.setAttribute("data-stack", String(step));
+      win.style.transform = centeredTransform(0.92, step);
+
+      win.style.display = "block";
+      win.setAttribute("aria-hidden", "false");
+      focusWindow(appId);
+
+      // Launch logic: next frame add .is-open so CSS transition runs.
+      requestAnimationFrame(function () {
+        win.classList.add("is-open");
+        // Maintain the offset in the open state
+        win.style.transform = centeredTransform(1, step);
+        updateIndicators();
+        focusInto(appId);
+        runAppHook(appId, "onOpen");
+        window.setTimeout(function () {
+          isAnimating = false;
+        }, 240);
+      });
+    }
+
+    function closeApp(appId, done) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      if (isAnimating) return;
+      if (win.style.display !== "block" || win.classList.contains("is-away")) {
+        // Minimized, on another workspace or never shown: nothing to animate.
+        if (runningApps.has(appId)) {
+          win.classList.remove("is-minimized", "is-away", "is-open", "is-focused");
+          win.style.display = "none";
+          win.setAttribute("aria-hidden", "true");
+          runningApps.delete(appId);
+          processes.delete(appId);
+          updateIndicators();
+          session.scheduleSave();
+          runAppHook(appId, "onClose");
+        }
+        if (typeof done === "function") done();
+        return;
+      }
+
+      isAnimating = true;
+      var hadFocus = win.contains(document.activeElement);
+      win.classList.remove("is-open");
+
+      // After the close transition completes, fully hide the window.
+      var finish = function () {
+        win.style.display = "none";
+        win.setAttribute("aria-hidden", "true");
+        runningApps.delete(appId);
+        processes.delete(appId);
+        setNextFocus();
+        returnFocusToDock(appId, hadFocus);
+        session.scheduleSave();
+        isAnimating = false;
+        runAppHook(appId, "onClose");
+        if (typeof done === "function") done();
+      };
+      var onDone = function (ev) {
+        if (ev.target !== win) return;
+        win.removeEventListener("transitionend", onDone);
+        finish();
+      };
+
+      // No transition runs with reduced motion, so transitionend never fires.
+      if (prefersReducedMotion()) finish();
+      else win.addEventListener("transitionend", onDone);
+    }
+
+    function minimizeAllWindows() {
+      workspaceWindows(activeWorkspace).forEach(function (win) {
+        win.classList.remove("is-open", "is-focused");
+        win.classList.add("is-minimized");
+        win.style.display = "none";
+        win.setAttribute("aria-hidden", "true");
+      });
+      currentAppId = null;
+      updateIndicators();
+      session.scheduleSave();
+    }
+
+    /**
+     * Workspaces (virtual desktops)
+     * - Every running window belongs to one of WORKSPACE_COUNT workspaces
+     *   (data-workspace on the window) and keeps its own geometry there.
+     * - Windows on other workspaces stay .is-open but get .is-away (hidden,
+     *   out of the focus order); focus, Alt+Tab and "home" only see the
+     *   active workspace.
+     * - Ctrl+Alt+Left/Right switches with a slide; the CSS `translate`
+     *   property composes with each window's own transform. Adding Shift
+     *   takes the focused window along.
+     * - The titlebar menu (data-app-menu) and `workspace move` move windows.
+     */
+    var WORKSPACE_COUNT = 4;
+    var SLIDE_MS = 250;
+    var activeWorkspace = 0;
+    var slideTimers = new Map(); // appId -> timeout of a running slide
+    var workspaceDots = document.querySelector("[data-workspaces]");
+
+    function workspaceOf(appId) {
+      var win = getWindowEl(appId);
+      var index = win ? parseInt(win.getAttribute("data-workspace"), 10) : NaN;
+      return isNaN(index) ? activeWorkspace : index;
+    }
+
+    function isOnActiveWorkspace(win) {
+      return workspaceOf(win.id.replace("app-", "")) === activeWorkspace;
+    }
+
+    function workspaceWindows(index) {
+      return Array.from(runningApps).filter(function (appId) {
+        return workspaceOf(appId) === index && !getWindowEl(appId).classList.contains("is-minimized");
+      }).map(getWindowEl);
+    }
+
+    function renderWorkspaceDots() {
+      if (!workspaceDots) return;
+      if (workspaceDots.childElementCount !== WORKSPACE_COUNT) {
+        workspaceDots.textContent = "";
+        for (var i = 0; i < WORKSPACE_COUNT; i++) {
+          var dot = document.createElement("button");
+          dot.type = "button";
+          dot.className = "top-bar__workspace";
+          dot.setAttribute("data-workspace-index", String(i));
+          workspaceDots.appendChild(dot);
+        }
+      }
+      Array.from(workspaceDots.children).forEach(function (dot, index) {
+        var count = Array.from(runningApps).filter(function (appId) {
+          return workspaceOf(appId) === index;
+        }).length;
+        dot.classList.toggle("has-windows", count > 0);
+        dot.setAttribute("aria-label", "Workspace " + (index + 1) + (count ? " (" + count + (count === 1 ? " window)" : " windows)") : ""));
+        if (index === activeWorkspace) dot.setAttribute("aria-current", "true");
+        else dot.removeAttribute("aria-current");
+      });
+    }
+
+    function slideDuration() {
+      var scale = parseFloat(window.getComputedStyle(document.documentElement).getPropertyValue("--motion-scale"));
+      return SLIDE_MS * (scale > 0 ? scale : 1);
+    }
+
+    /**
+     * Slides a window horizontally from `fromVw` to `toVw` (viewport widths).
+     */
+    function slideWindow(win, fromVw, toVw, done) {
+      var appId = win.id.replace("app-", "");
+      window.clearTimeout(slideTimers.get(appId));
+      win.classList.remove("is-sliding");
+      win.style.translate = fromVw + "vw 0";
+      win.getBoundingClientRect(); // flush, so the transition starts from fromVw
+      win.classList.add("is-sliding");
+      win.style.translate = toVw + "vw 0";
+      slideTimers.set(appId, window.setTimeout(function () {
+        slideTimers.delete(appId);
+        win.classList.remove("is-sliding");
+        win.style.translate = "";
+        if (done) done();
+      }, slideDuration()));
+    }
+
+    /**
+     * Hides (`away`) or shows a window for a workspace change. `direction`
+     * is the slide direction (-1 / 1), or 0 for no animation.
+     */
+    function setAway(win, away, direction) {
+      win.setAttribute("aria-hidden", String(away));
+      if (!direction) {
+        window.clearTimeout(slideTimers.get(win.id.replace("app-", "")));
+        win.classList.remove("is-sliding");
+        win.style.translate = "";
+        win.classList.toggle("is-away", away);
+      } else if (away) {
+        slideWindow(win, 0, direction * 100, function () {
+          win.classList.add("is-away");
+        });
+      } else {
+        win.classList.remove("is-away");
+        slideWindow(win, -direction * 100, 0);
+      }
+    }
+
+    function switchWorkspace(index) {
+      if (index < 0 || index >= WORKSPACE_COUNT || index === activeWorkspace) return false;
+      var direction = prefersReducedMotion() ? 0 : index > activeWorkspace ? -1 : 1;
+      var leaving = workspaceWindows(activeWorkspace);
+      var arriving = workspaceWindows(index);
+      var hadFocus = leaving.some(function (win) {
+        return win.contains(document.activeElement);
+      });
+
+      activeWorkspace = index;
+      leaving.forEach(function (win) {
+        setAway(win, true, direction);
+      });
+      arriving.forEach(function (win) {
+        setAway(win, false, direction);
+      });
+      setNextFocus();
+      if (hadFocus) {
+        if (currentAppId) focusInto(currentAppId);
+        else document.activeElement.blur();
+      }
+      updateIndicators();
+      session.scheduleSave();
+      window.dispatchEvent(new CustomEvent("workspace-changed", { detail: { index: index } }));
+      return true;
+    }
+
+    function moveToWorkspace(appId, index) {
+      var win = getWindowEl(appId);
+      if (!win || !runningApps.has(appId) || index < 0 || index >= WORKSPACE_COUNT) return false;
+      var from = workspaceOf(appId);
+      win.setAttribute("data-workspace", String(index));
+
+      if (from !== index && !win.classList.contains("is-minimized")) {
+        if (index === activeWorkspace) {
+          setAway(win, false, 0);
+          focusWindow(appId);
+        } else {
+          var hadFocus = win.contains(document.activeElement);
+          setAway(win, true, 0);
+          win.classList.remove("is-focused");
+          if (currentAppId === appId) setNextFocus();
+          if (hadFocus) {
+            if (currentAppId) focusInto(currentAppId);
+            else returnFocusToDock(appId, true);
+          }
+        }
+      }
+      updateIndicators();
+      session.scheduleSave();
+      return true;
+    }
+
+    if (workspaceDots) {
+      workspaceDots.addEventListener("click", function (e) {
+        var dot = e.target.closest("[data-workspace-index]");
+        if (dot) switchWorkspace(parseInt(dot.getAttribute("data-workspace-index"), 10));
+      });
+    }
+
+    document.addEventListener("keydown", function (e) {
+      if (!e.ctrlKey || !e.altKey || e.metaKey) return;
+      var step = e.key === "ArrowLeft" || e.key === "ArrowUp" ? -1 : e.key === "ArrowRight" || e.key === "ArrowDown" ? 1 : 0;
+      if (!step) return;
+      e.preventDefault();
+      var target = activeWorkspace + step;
+      if (target < 0 || target >= WORKSPACE_COUNT) return;
+
+      var carried = e.shiftKey ? currentAppId : null;
+      if (carried) moveToWorkspace(carried, target);
+      switchWorkspace(target);
+      if (carried) {
+        focusWindow(carried);
+        focusInto(carried);
+      }
+    });
+
+    /**
+     * Window menu: opened from a titlebar's data-app-menu button or by
+     * right-clicking the titlebar. Lists "Move to Workspace N".
+     */
+    var windowMenu = document.createElement("div");
+    windowMenu.className = "window-menu";
+    windowMenu.setAttribute("role", "menu");
+    windowMenu.hidden = true;
+    document.body.appendChild(windowMenu);
+    var menuFor = null; // { appId, opener }
+
+    function openWindowMenu(appId, x, y, opener) {
+      windowMenu.textContent = "";
+      windowMenu.setAttribute("aria-label", "Window menu for " + (apps[appId] ? apps[appId].title : appId));
+      for (var i = 0; i < WORKSPACE_COUNT; i++) {
+        var item = document.createElement("button");
+        item.type = "button";
+        item.className = "window-menu__item";
+        item.setAttribute("role", "menuitemradio");
+        item.setAttribute("aria-checked", String(workspaceOf(appId) === i));
+        item.setAttribute("data-move-to", String(i));
+        item.tabIndex = -1;
+        item.textContent = "Move to Workspace " + (i + 1);
+        windowMenu.appendChild(item);
+      }
+
+      menuFor = { appId: appId, opener: opener };
+      if (opener) opener.setAttribute("aria-expanded", "true");
+      windowMenu.hidden = false;
+      var width = windowMenu.offsetWidth;
+      var height = windowMenu.offsetHeight;
+      windowMenu.style.left = Math.max(4, Math.min(x, window.innerWidth - width - 4)) + "px";
+      windowMenu.style.top = Math.max(4, Math.min(y, window.innerHeight - height - 4)) + "px";
+      windowMenu.querySelector('[aria-checked="true"]').focus();
+    }
+
+    function closeWindowMenu(restoreFocus) {
+      if (!menuFor) return;
+      var opener = menuFor.opener;
+      windowMenu.hidden = true;
+      menuFor = null;
+      if (opener) {
+        opener.setAttribute("aria-expanded", "false");
+        if (restoreFocus) opener.focus();
+      }
+    }
+
+    document.addEventListener("click", function (e) {
+      var opener = e.target.closest("[data-app-menu]");
+      if (opener) {
+        var appId = opener.getAttribute("data-app-menu");
+        if (menuFor && menuFor.appId === appId) {
+          closeWindowMenu(false);
+          return;
+        }
+        var rect = opener.getBoundingClientRect();
+        openWindowMenu(appId, rect.right - windowMenu.offsetWidth, rect.bottom + 4, opener);
+        return;
+      }
+      var item = e.target.closest("[data-move-to]");
+      if (item && menuFor) {
+        var target = menuFor.appId;
+        closeWindowMenu(false);
+        moveToWorkspace(target, parseInt(item.getAttribute("data-move-to"), 10));
+      }
+    });
+
+    document.addEventListener("contextmenu", function (e) {
+      var titlebar = e.target.closest(".app-window__titlebar");
+      if (!titlebar || e.target.closest(".app-window__controls")) return;
+      e.preventDefault();
+      var win = titlebar.closest(".app-window");
+      openWindowMenu(win.id.replace("app-", ""), e.clientX, e.clientY, win.querySelector("[data-app-menu]"));
+    });
+
+    document.addEventListener("pointerdown", function (e) {
+      if (menuFor && !windowMenu.contains(e.target) && !e.target.closest("[data-app-menu]")) closeWindowMenu(false);
+    });
+
+    windowMenu.addEventListener("keydown", function (e) {
+      var items = Array.from(windowMenu.querySelectorAll(".window-menu__item"));
+      var index = items.indexOf(document.activeElement);
+      var next = null;
+      if (e.key === "ArrowDown") next = items[(index + 1) % items.length];
+      else if (e.key === "ArrowUp") next = items[(index - 1 + items.length) % items.length];
+      else if (e.key === "Home") next = items[0];
+      else if (e.key === "End") next = items[items.length - 1];
+      else if (e.key === "Escape" || e.key === "Tab") {
+        e.preventDefault();
+        closeWindowMenu(true);
+        return;
+      }
+      if (!next) return;
+      e.preventDefault();
+      next.focus();
+    });
+
+    // Single delegated listener for dock launches and window focus
+    document.addEventListener("click", function (e) {
+      var isControl = e.target.closest(".app-window__controls");
+
+      // Focus window on click (if not clicking a control)
+      var windowClick = e.target.closest(".app-window");
+      if (windowClick && !isControl) {
+        var id = windowClick.id.replace("app-", "");
+        focusWindow(id);
+      }
+
+      var launch = e.target.closest("[data-launch-app]");
+      if (launch) {
+        e.preventDefault();
+        var appId = launch.getAttribute("data-launch-app");
+        var win = getWindowEl(appId);
+
+        var isRunning = runningApps.has(appId);
+        var isFocused = (currentAppId === appId);
+        var isMinimized = win && win.classList.contains("is-minimized");
+
+        if (isRunning && isFocused && !isMinimized) {
+          minimizeApp(appId);
+        } else {
+          showApp(appId);
+        }
+        return;
+      }
+      var closeBtn = e.target.closest("[data-app-close]");
+      if (closeBtn) {
+        closeApp(closeBtn.getAttribute("data-app-close"));
+      }
+      var minimizeBtn = e.target.closest("[data-app-minimize]");
+      if (minimizeBtn) {
+        var appId = minimizeBtn.getAttribute("data-app-minimize");
+        minimizeApp(appId);
+      }
+      var maximizeBtn = e.target.closest("[data-app-maximize]");
+      if (maximizeBtn) {
+        toggleMaximize(maximizeBtn.getAttribute("data-app-maximize"));
+      }
+    });
+
+    // Dock: Left/Right/Home/End move focus between icons (Enter launches).
+    document.addEventListener("keydown", function (e) {
+      var current = e.target.closest && e.target.closest(".dock-item");
+      if (!current || e.altKey || e.ctrlKey || e.metaKey) return;
+
+      var items = Array.from(current.parentNode.querySelectorAll(".dock-item"));
+      var index = items.indexOf(current);
+      var next = null;
+      if (e.key === "ArrowRight") next = items[(index + 1) % items.length];
+      else if (e.key === "ArrowLeft") next = items[(index - 1 + items.length) % items.length];
+      else if (e.key === "Home") next = items[0];
+      else if (e.key === "End") next = items[items.length - 1];
+      if (!next) return;
+
+      e.preventDefault();
+      next.focus();
+    });
+
+    /**
+     * Window geometry: maximize, snapping, clamping
+     *
+     * - Windows start centered via CSS transform; the first drag/resize/snap
+     *   "pins" them to pixel left/top/width/height (transform: none).
+     * - Maximized / snapped windows remember their previous geometry in
+     *   `savedGeometry` so restore (or dragging them out) brings it back.
+     * - Snap zones (GNOME-style): left/right halves, the four quarters, and
+     *   maximize when dropped on the top edge.
+     */
+    var SNAP_EDGE = 12; // px from the screen edge that arms a snap
+    var SNAP_CORNER = 80; // px from top/bottom that turns a half into a quarter
+    var MIN_WIDTH = 360;
+    var MIN_HEIGHT = 220;
+    var TITLEBAR_GRAB = 80; // px of titlebar that must stay on screen
+    var savedGeometry = new Map(); // appId -> { left, top, width, height }
+
+    function appIdOf(win) {
+      return win.id.replace("app-", "");
+    }
+
+    function workArea() {
+      var topBar = parseInt(window.getComputedStyle(document.documentElement).getPropertyValue("--top-bar-height"), 10) || 34;
+      return { left: 0, top: topBar, width: window.innerWidth, height: window.innerHeight - topBar };
+    }
+
+    function getGeometry(win) {
+      var rect = win.getBoundingClientRect();
+      return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+    }
+
+    function setGeometry(win, geo) {
+      win.style.transform = "none";
+      win.style.margin = "0";
+      win.style.left = Math.round(geo.left) + "px";
+      win.style.top = Math.round(geo.top) + "px";
+      win.style.width = Math.round(geo.width) + "px";
+      win.style.height = Math.round(geo.height) + "px";
+    }
+
+    /**
+     * Keeps enough of the titlebar on screen to grab it again.
+     */
+    function clampGeometry(geo) {
+      var area = workArea();
+      geo.left = Math.min(Math.max(geo.left, area.left - geo.width + TITLEBAR_GRAB), area.left + area.width - TITLEBAR_GRAB);
+      geo.top = Math.min(Math.max(geo.top, area.top), area.top + area.height - 40);
+      return geo;
+    }
+
+    var RESIZE_DIRECTIONS = ["n", "s", "e", "w", "ne", "nw", "se", "sw"];
+
+    function addResizeHandles(win) {
+      RESIZE_DIRECTIONS.forEach(function (dir) {
+        var handle = document.createElement("div");
+        handle.className = "app-window__resize app-window__resize--" + dir;
+        handle.setAttribute("data-resize", dir);
+        win.appendChild(handle);
+      });
+    }
+
+    function snapRect(zone) {
+      var area = workArea();
+      var halfW = area.width / 2;
+      var halfH = area.height / 2;
+      var rects = {
+        maximize: { left: area.left, top: area.top, width: area.width, height: area.height },
+        left: { left: area.left, top: area.top, width: halfW, height: area.height },
+        right: { left: area.left + halfW, top: area.top, width: halfW, height: area.height },
+        "top-left": { left: area.left, top: area.top, width: halfW, height: halfH },
+        "top-right": { left: area.left + halfW, top: area.top, width: halfW, height: halfH },
+        "bottom-left": { left: area.left, top: area.top + halfH, width: halfW, height: halfH },
+        "bottom-right": { left: area.left + halfW, top: area.top + halfH, width: halfW, height: halfH }
+      };
+      return rects[zone] || null;
+    }
+
+    function isTiled(win) {
+      return win.classList.contains("is-maximized") || win.classList.contains("is-snapped");
+    }
+
+    /**
+     * Snaps a window into a zone ("maximize", "left", "top-right", ...).
+     */
+    function snapWindow(appId, zone) {
+      var win = getWindowEl(appId);
+      var rect = snapRect(zone);
+      if (!win || !rect) return;
+
+      if (!isTiled(win)) savedGeometry.set(appId, getGeometry(win));
+      win.classList.toggle("is-maximized", zone === "maximize");
+      win.classList.toggle("is-snapped", zone !== "maximize");
+      win.setAttribute("data-snap", zone);
+      setGeometry(win, rect);
+      session.scheduleSave();
+    }
+
+    function unsnapWindow(appId) {
+      var win = getWindowEl(appId);
+      if (!win || !isTiled(win)) return;
+
+      win.classList.remove("is-maximized", "is-snapped");
+      win.removeAttribute("data-snap");
+      var saved = savedGeometry.get(appId);
+      savedGeometry.delete(appId);
+      if (saved) setGeometry(win, clampGeometry(saved));
+      session.scheduleSave();
+    }
+
+    function toggleMaximize(appId) {
+      var win = getWindowEl(appId);
+      if (!win) return;
+      if (win.classList.contains("is-maximized")) unsnapWindow(appId);
+      else snapWindow(appId, "maximize");
+    }
+
+    /**
+     * Mobile layout mode (narrow viewports): CSS shows every window
+     * full-screen under the top bar, dragging/resizing is replaced by a
+     * swipe-down-to-dismiss gesture on the titlebar. `html.is-mobile` is
+     * the single switch both CSS and the pointer handlers read.
+     */
+    var mobileQuery = window.matchMedia ? window.matchMedia("(max-width: 700px)") : null;
+
+    function isMobileLayout() {
+      return document.documentElement.classList.contains("is-mobile");
+    }
+
+    function syncLayoutMode() {
+      document.documentElement.classList.toggle("is-mobile", !!(mobileQuery && mobileQuery.matches));
+    }
+
+    if (mobileQuery && mobileQuery.addEventListener) mobileQuery.addEventListener("change", syncLayoutMode);
+    syncLayoutMode();
+
+    // Keep tiled windows fitted and free windows reachable when the viewport changes.
+    window.addEventListener("resize", function () {
+      document.querySelectorAll(".app-window.is-open").forEach(function (win) {
+        if (isTiled(win)) {
+          setGeometry(win, snapRect(win.getAttribute("data-snap")));
+        } else if (win.style.transform === "none") {
+          setGeometry(win, clampGeometry(getGeometry(win)));
+        }
+      });
+    });
+
+    /**
+     * Window Dragging / Resizing Logic (Pointer Events: mouse, pen, touch)
+     * - Titlebar drag moves (clamped), edge/corner handles resize.
+     * - Dragging to a screen edge shows a snap preview; releasing snaps.
+     * - Dragging a maximized/snapped window restores its previous size.
+     * - Double-click on the titlebar toggles maximize.
+     * - Mobile layout: a titlebar drag only swipes the window down; past
+     *   SWIPE_DISMISS (or a quick flick) it is minimized, otherwise it
+     *   springs back.
+     */
+    (function () {
+      var drag = null; // { win, pointerId, mode: "move"|"resize"|"swipe", dir, startX, startY, start, zone }
+      var SWIPE_DISMISS = 120; // px
+      var SWIPE_FLICK = 0.6; // px/ms
+
+      var preview = document.createElement("div");
+      preview.className = "snap-preview";
+      preview.setAttribute("aria-hidden", "true");
+      document.body.appendChild(preview);
+
+      document.querySelectorAll(".app-window").forEach(addResizeHandles);
+
+      function snapZoneAt(x, y) {
+        var area = workArea();
+        if (y <= area.top + 2) return "maximize";
+        var side = x <= SNAP_EDGE ? "left" : x >= area.width - SNAP_EDGE ? "right" : null;
+        if (!side) return null;
+        if (y <= area.top + SNAP_CORNER) return "top-" + side;
+        if (y >= area.top + area.height - SNAP_CORNER) return "bottom-" + side;
+        return side;
+      }
+
+      function showPreview(zone) {
+        var rect = zone && snapRect(zone);
+        preview.classList.toggle("is-visible", Boolean(rect));
+        if (!rect) return;
+        preview.style.left = rect.left + "px";
+        preview.style.top = rect.top + "px";
+        preview.style.width = rect.width + "px";
+        preview.style.height = rect.height + "px";
+      }
+
+      document.addEventListener("pointerdown", function (e) {
+        if (drag || !e.isPrimary || e.button !== 0) return;
+        var handle = e.target.closest(".app-window__resize");
+        var titlebar = e.target.closest(".app-window__titlebar");
+        if (!handle && (!titlebar || e.target.closest(".app-window__controls"))) return;
+
+        var win = e.target.closest(".app-window");
+        if (!win) return;
+
+        // Bring to front
+        focusWindow(appIdOf(win));
+
+        if (isMobileLayout()) {
+          if (handle) return;
+          win.classList.add("is-swiping");
+          drag = { win: win, pointerId: e.pointerId, mode: "swipe", startY: e.clientY, startTime: e.timeStamp };
+          e.preventDefault();
+          return;
+        }
+
+        // Switch to pixel-based positioning
+        // Remove transitions during drag for responsiveness
+        var start = getGeometry(win);
+        win.style.transition = "none";
+        setGeometry(win, start);
+
+        drag = {
+          win: win,
+          pointerId: e.pointerId,
+          mode: handle ? "resize" : "move",
+          dir: handle ? handle.getAttribute("data-resize") : null,
+          startX: e.clientX,
+          startY: e.clientY,
+          start: start,
+          zone: null
+        };
+
+        if (handle && isTiled(win)) {
+          // Resizing a tiled window keeps its current size as the new free size.
+          win.classList.remove("is-maximized", "is-snapped");
+          win.removeAttribute("data-snap");
+          savedGeometry.delete(appIdOf(win));
+        }
+
+        e.preventDefault();
+        document.body.style.userSelect = "none";
+      });
+
+      document.addEventListener("pointermove", function (e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        if (drag.mode === "swipe") {
+          drag.win.style.setProperty("--swipe-offset", Math.max(0, e.clientY - drag.startY) + "px");
+          return;
+        }
+
+        var dx = e.clientX - drag.startX;
+        var dy = e.clientY - drag.startY;
+        var geo = {
+          left: drag.start.left,
+          top: drag.start.top,
+          width: drag.start.width,
+          height: drag.start.height
+        };
+
+        if (drag.mode === "move") {
+          if (isTiled(drag.win)) {
+            if (Math.abs(dx) < 4 && Math.abs(dy) < 4) return;
+            // Pull out of the tile: restore the old size under the pointer.
+            var ratio = (drag.startX - drag.start.left) / drag.start.width;
+            unsnapWindow(appIdOf(drag.win));
+            var restored = getGeometry(drag.win);
+            drag.start = {
+              left: drag.startX - restored.width * ratio,
+              top: drag.start.top,
+              width: restored.width,
+              height: restored.height
+            };
+            geo = Object.assign({}, drag.start);
+          }
+
+          geo.left += dx;
+          geo.top += dy;
+          setGeometry(drag.win, clampGeometry(geo));
+
+          drag.zone = snapZoneAt(e.clientX, e.clientY);
+          showPreview(drag.zone);
+          return;
+        }
+
+        var area = workArea();
+        if (drag.dir.indexOf("e") !== -1) {
+          geo.width = Math.max(MIN_WIDTH, Math.min(drag.start.width + dx, area.left + area.width - drag.start.left));
+        }
+        if (drag.dir.indexOf("s") !== -1) {
+          geo.height = Math.max(MIN_HEIGHT, Math.min(drag.start.height + dy, area.top + area.height - drag.start.top));
+        }
+        if (drag.dir.indexOf("w") !== -1) {
+          geo.width = Math.max(MIN_WIDTH, drag.start.width - Math.max(dx, area.left - drag.start.left));
+          geo.left = drag.start.left + drag.start.width - geo.width;
+        }
+        if (drag.dir.indexOf("n") !== -1) {
+          geo.height = Math.max(MIN_HEIGHT, drag.start.height - Math.max(dy, area.top - drag.start.top));
+          geo.top = drag.start.top + drag.start.height - geo.height;
+        }
+        setGeometry(drag.win, geo);
+      });
+
+      function endSwipe(e) {
+        var win = drag.win;
+        var dy = Math.max(0, e.clientY - drag.startY);
+        var velocity = dy / Math.max(1, e.timeStamp - drag.startTime);
+        win.classList.remove("is-swiping");
+        win.style.removeProperty("--swipe-offset");
+        if (e.type === "pointerup" && (dy > SWIPE_DISMISS || (dy > SWIPE_DISMISS / 3 && velocity > SWIPE_FLICK))) {
+          minimizeApp(appIdOf(win));
+        }
+      }
+
+      function endDrag(e) {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        if (drag.mode === "swipe") {
+          endSwipe(e);
+          drag = null;
+          return;
+        }
+
+        // Restore transitions for subsequent open/close
+        drag.win.style.transition = "";
+        if (drag.zone) snapWindow(appIdOf(drag.win), drag.zone);
+        showPreview(null);
+        drag = null;
+        document.body.style.userSelect = "";
+        session.scheduleSave();
+      }
+
+      document.addEventListener("pointerup", endDrag);
+      document.addEventListener("pointercancel", endDrag);
+
+      document.addEventListener("dblclick", function (e) {
+        var titlebar = e.target.closest(".app-window__titlebar");
+        if (!titlebar || e.target.closest(".app-window__controls") || isMobileLayout()) return;
+        toggleMaximize(appIdOf(titlebar.closest(".app-window")));
+      });
+    })();
+
+    /**
+     * Window keyboard shortcuts
+     * - Super+Left/Right: snap to half; Super+Up: maximize;
+     *   Super+Down: restore a tiled window, otherwise minimize.
+     * - Alt+Tab / Alt+Shift+Tab: cycle windows by z-order (most recent first);
+     *   the order is frozen until Alt is released, like a real switcher.
+     * - Alt+F4: close the focused window.
+     * - Alt+F7 / Alt+F8: keyboard move / resize of the focused window.
+     *   Arrows step 10px (Shift: 1px), Enter keeps, Esc puts it back.
+     */
+    (function () {
+      var cycle = null; // { order: [appId...], index } while Alt is held
+      var grab = null; // { appId, mode: "move"|"resize", start, geo } during Alt+F7/F8
+
+      function startGrab(appId, mode) {
+        var win = getWindowEl(appId);
+        if (!win) return;
+        if (isTiled(win)) unsnapWindow(appId);
+        var geo = getGeometry(win);
+        setGeometry(win, geo);
+        win.classList.add("is-keyboard-grabbed");
+        grab = { appId: appId, mode: mode, start: Object.assign({}, geo), geo: geo };
+      }
+
+      function endGrab(keep) {
+        var win = getWindowEl(grab.appId);
+        if (!keep) setGeometry(win, grab.start);
+        win.classList.remove("is-keyboard-grabbed");
+        grab = null;
+        session.scheduleSave();
+      }
+
+      // Capture phase so arrows don't also reach the terminal input etc.
+      window.addEventListener("keydown", function (e) {
+        if (!grab) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === "Enter" || e.key === "Escape") {
+          endGrab(e.key === "Enter");
+          return;
+        }
+
+        var step = e.shiftKey ? 1 : 10;
+        var dx = e.key === "ArrowRight" ? step : e.key === "ArrowLeft" ? -step : 0;
+        var dy = e.key === "ArrowDown" ? step : e.key === "ArrowUp" ? -step : 0;
+        if (!dx && !dy) return;
+
+        var geo = grab.geo;
+        if (grab.mode === "move") {
+          geo.left += dx;
+          geo.top += dy;
+          clampGeometry(geo);
+        } else {
+          geo.width = Math.max(MIN_WIDTH, geo.width + dx);
+          geo.height = Math.max(MIN_HEIGHT, geo.height + dy);
+        }
+        setGeometry(getWindowEl(grab.appId), geo);
+      }, true);
+
+      function windowsByZ() {
+        return Array.from(document.querySelectorAll(".app-window")).filter(function (win) {
+          return runningApps.has(appIdOf(win)) && isOnActiveWorkspace(win);
+        }).sort(function (a, b) {
+          return (parseInt(b.style.zIndex, 10) || 0) - (parseInt(a.style.zIndex, 10) || 0);
+        }).map(appIdOf);
+      }
+
+      function activate(appId) {
+        var win = getWindowEl(appId);
+        if (win && win.classList.contains("is-minimized")) restoreApp(appId);
+        else {
+          focusWindow(appId);
+          focusInto(appId);
+        }
+      }
+
+      document.addEventListener("keydown", function (e) {
+        if (e.metaKey && currentAppId && e.key.indexOf("Arrow") === 0) {
+          e.preventDefault();
+          var win = getWindowEl(currentAppId);
+          if (e.key === "ArrowLeft") snapWindow(currentAppId, "left");
+          else if (e.key === "ArrowRight") snapWindow(currentAppId, "right");
+          else if (e.key === "ArrowUp") snapWindow(currentAppId, "maximize");
+          else if (isTiled(win)) unsnapWindow(currentAppId);
+          else minimizeApp(currentAppId);
+          return;
+        }
+
+        if (e.altKey && e.key === "Tab") {
+          e.preventDefault();
+          if (!cycle) cycle = { order: windowsByZ(), index: 0 };
+          if (cycle.order.length < 2) return;
+          var step = e.shiftKey ? -1 : 1;
+          cycle.index = (cycle.index + step + cycle.order.length) % cycle.order.length;
+          activate(cycle.order[cycle.index]);
+          return;
+        }
+
+        if (e.altKey && e.key === "F4" && currentAppId) {
+          e.preventDefault();
+          closeApp(currentAppId);
+          return;
+        }
+
+        if (e.altKey && (e.key === "F7" || e.key === "F8") && currentAppId) {
+          e.preventDefault();
+          startGrab(currentAppId, e.key === "F7" ? "move" : "resize");
+        }
+      });
+
+      document.addEventListener("keyup", function (e) {
+        if (e.key === "Alt") cycle = null;
+      });
+    })();
+
+    /**
+     * App registry / plugin API
+     *
+     *   registerApp({
+     *     id: "notes",                 // window id becomes "app-notes"
+     *     title: "Notes",
+     *     icon: "assets/dock/notes.png", // optional; falls back to a letter
+     *     render: function (contentEl, win) {},  // fills .app-window__content once
+     *     onOpen: function (win) {},   // after the window opens
+     *     onClose: function (win) {},  // after it has fully closed
+     *     commands: [{ name, usage, description, run }]  // terminal commands
+     *   });
+     *
+     * Creates the window chrome (titlebar with data-app-minimize / -maximize /
+     * -close), the dock entry and its indicator. A window or dock entry that
+     * already exists in index.html (id="app-<id>", data-launch-app="<id>")
+     * is adopted instead, which is how the built-in apps hook in.
+     */
+    var apps = {}; // id -> definition
+    var pendingCommands = []; // commands registered before the terminal is wired up
+    var addShellCommand = function (def) {
+      pendingCommands.push(def);
+    };
+
+    function runAppHook(appId, hook) {
+      var app = apps[appId];
+      if (app && typeof app[hook] === "function") app[hook](getWindowEl(appId));
+    }
+
+    function createWindowChrome(app) {
+      var win = document.createElement("section");
+      win.className = "app-window";
+      win.id = "app-" + app.id;
+      win.setAttribute("aria-hidden", "true");
+      win.setAttribute("role", "dialog");
+      win.setAttribute("aria-label", app.title);
+      win.tabIndex = -1;
+
+      var titlebar = document.createElement("div");
+      titlebar.className = "app-window__titlebar";
+      var title = document.createElement("div");
+      title.className = "app-window__title";
+      title.textContent = app.title;
+      var controls = document.createElement("div");
+      controls.className = "app-window__controls";
+      [
+        ["menu", "⋮", "Window menu for"],
+        ["minimize", "–", "Minimize"],
+        ["maximize", "□", "Maximize"],
+        ["close", "×", "Close"]
+      ].forEach(function (control) {
+        var button = document.createElement("button");
+        button.className = "app-window__" + control[0];
+        button.type = "button";
+        button.setAttribute("data-app-" + control[0], app.id);
+        button.setAttribute("aria-label", control[2] + " " + app.title);
+        if (control[0] === "menu") {
+          button.setAttribute("aria-haspopup", "menu");
+          button.setAttribute("aria-expanded", "false");
+        }
+        button.textContent = control[1];
+        controls.appendChild(button);
+      });
+      titlebar.appendChild(title);
+      titlebar.appendChild(controls);
+
+      var contentEl = document.createElement("div");
+      contentEl.className = "app-window__content";
+
+      win.appendChild(titlebar);
+      win.appendChild(contentEl);
+      addResizeHandles(win);
+
+      var windows = document.querySelectorAll(".app-window");
+      var after = windows.length ? windows[windows.length - 1] : null;
+      if (after) after.insertAdjacentElement("afterend", win);
+      else document.body.appendChild(win);
+      return win;
+    }
+
+    function createDockEntry(app) {
+      var item = document.createElement("a");
+      item.className = "dock-item";
+      item.href = "#" + app.id;
+      item.setAttribute("aria-label", app.title);
+      item.setAttribute("data-launch-app", app.id);
+
+      if (app.icon) {
+        var img = document.createElement("img");
+        img.src = app.icon;
+        img.alt = "";
+        img.width = 48;
+        img.height = 48;
+        item.appendChild(img);
+      } else {
+        var glyph = document.createElement("span");
+        glyph.className = "dock-item__glyph";
+        glyph.textContent = app.title.charAt(0).toUpperCase();
+        item.appendChild(glyph);
+      }
+
+      var indicator = document.createElement("div");
+      indicator.className = "dock-indicator";
+      item.appendChild(indicator);
+
+      var dock = document.querySelector(".dock-inner");
+      if (dock) dock.appendChild(item);
+      return item;
+    }
+
+    function registerApp(app) {
+      if (!app || !/^[a-z][a-z0-9-]*$/.test(app.id || "")) {
+        throw new Error("registerApp: id must be lowercase letters, digits or dashes");
+      }
+      if (apps[app.id]) throw new Error("registerApp: app already registered: " + app.id);
+      app.title = app.title || app.id;
+      apps[app.id] = app;
+
+      var win = getWindowEl(app.id) || createWindowChrome(app);
+      if (!document.querySelector('[data-launch-app="' + app.id + '"]')) createDockEntry(app);
+      if (typeof app.render === "function") app.render(win.querySelector(".app-window__content"), win);
+      (app.commands || []).forEach(function (def) {
+        addShellCommand(def);
+      });
+      updateIndicators();
+      return win;
+    }
+
+    /**
+     * Session part: running windows with z-order, geometry, tiling and
+     * minimized state. Restored without the open animation.
+     */
+    session.register("windows", {
+      save: function () {
+        return {
+          focused: currentAppId,
+          workspace: activeWorkspace,
+          windows: Array.from(runningApps).map(function (appId) {
+            var win = getWindowEl(appId);
+            var pinned = win.style.transform === "none";
+            return {
+              id: appId,
+              z: parseInt(win.style.zIndex, 10) || 0,
+              minimized: win.classList.contains("is-minimized"),
+              workspace: workspaceOf(appId),
+              geometry: pinned ? {
+                left: parseFloat(win.style.left) || 0,
+                top: parseFloat(win.style.top) || 0,
+                width: parseFloat(win.style.width) || 0,
+                height: parseFloat(win.style.height) || 0
+              } : null,
+              stack: parseInt(win.getAttribute("data-stack"), 10) || 0,
+              snap: win.getAttribute("data-snap"),
+              saved: savedGeometry.get(appId) || null
+            };
+          })
+        };
+      },
+      restore: function (data) {
+        if (data.workspace >= 0 && data.workspace < WORKSPACE_COUNT) activeWorkspace = data.workspace;
+        (data.windows || []).forEach(function (saved) {
+          var win = getWindowEl(saved.id);
+          if (!win) return; // app no longer exists
+
+          runningApps.add(saved.id);
+          var workspace = saved.workspace >= 0 && saved.workspace < WORKSPACE_COUNT ? saved.workspace : activeWorkspace;
+          win.setAttribute("data-workspace", String(workspace));
+          processOf(saved.id);
+          win.style.zIndex = saved.z;
+          windowZ = Math.max(windowZ, saved.z);
+
+          if (saved.snap && snapRect(saved.snap)) {
+            win.classList.add(saved.snap === "maximize" ? "is-maximized" : "is-snapped");
+            win.setAttribute("data-snap", saved.snap);
+            setGeometry(win, snapRect(saved.snap));
+          } else if (saved.geometry && saved.geometry.width > 0) {
+            setGeometry(win, clampGeometry(saved.geometry));
+          } else {
+            var step = saved.stack >= 0 && saved.stack < STACK_DEPTH ? saved.stack : 0;
+            win.setAttribute("data-stack", String(step));
+            win.style.transform = centeredTransform(1, step);
+          }
+          if (saved.saved) savedGeometry.set(saved.id, saved.saved);
+
+          if (saved.minimized) {
+            win.classList.add("is-minimized");
+            win.style.display = "none";
+            win.setAttribute("aria-hidden", "true");
+          } else {
+            win.style.display = "block";
+            win.setAttribute("aria-hidden", String(workspace !== activeWorkspace));
+            win.classList.add("is-open");
+            win.classList.toggle("is-away", workspace !== activeWorkspace);
+          }
+        });
+
+        var focused = data.focused && getWindowEl(data.focused);
+        if (focused && runningApps.has(data.focused) && !focused.classList.contains("is-minimized")) {
+          focusWindow(data.focused);
+        } else {
+          setNextFocus();
+        }
+      }
+    });
+
+    /**
+     * Hash router (deep links + Back/Forward)
+     *
+     * Routes:
+     * - #<app>            open/focus the app         (#terminal)
+     * - #<app>/<section>  ...and show that section   (#projects/web,
+     *                     from data-section="projects-web")
+     * - #projects/<slug>  a project's detail view    (#projects/cognitionsync)
+     * - #home             minimize everything (the dock's Home link)
+     *
+     * Links from before Projects was split by tag name a category
+     * (#projects/featured); one without a tag of the same id shows "All".
+     *
+     * The URL follows the focused window and its active section; each
+     * change is a history entry, so Back/Forward step through navigation.
+     */
+    var applyingRoute = true; // held until the initial route is applied
+
+    function routeFor(appId) {
+      if (!appId) return "";
+      var project = appId === "projects" ? content.projectView().project : null;
+      if (project) return "#projects/" + project;
+      var active = getWindowEl(appId).querySelector(".sidebar-item.active");
+      var section = active ? active.getAttribute("data-section") : "";
+      var slug = section.indexOf(appId + "-") === 0 ? section.slice(appId.length + 1) : section;
+      return "#" + appId + (slug ? "/" + slug : "");
+    }
+
+    function syncRoute() {
+      if (applyingRoute) return;
+      var hash = routeFor(currentAppId);
+      if (hash === window.location.hash) return;
+      window.history.pushState(null, "", hash || window.location.pathname + window.location.search);
+    }
+
+    function isProjectCategory(id) {
+      var manifest = content.get();
+      return Boolean(manifest) && manifest.projects.categories.some(function (category) {
+        return category.id === id;
+      });
+    }
+
+    function applyRoute() {
+      var parts = decodeURIComponent(window.location.hash.slice(1)).split("/");
+      var appId = parts[0];
+      if (!appId) return;
+
+      if (appId === "home") {
+        applyingRoute = true;
+        minimizeAllWindows();
+        applyingRoute = false;
+        // "#home" is an action, not a place: don't leave it in the URL.
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+        return;
+      }
+
+      var win = getWindowEl(appId);
+      if (!win || !win.classList.contains("app-window")) return;
+      if (isAnimating) {
+        // Another window is mid-transition; try again once it settles.
+        window.setTimeout(applyRoute, 250);
+        return;
+      }
+
+      applyingRoute = true;
+      showApp(appId);
+      if (parts[1]) {
+        var item = Array.from(win.querySelectorAll(".sidebar-item")).find(function (el) {
+          var section = el.getAttribute("data-section");
+          return section === appId + "-" + parts[1] || section === parts[1];
+        });
+        if (!item && appId === "projects" && !content.openProject(parts[1], false) && isProjectCategory(parts[1])) {
+          item = win.querySelector('[data-section="projects-all"]');
+        }
+        if (item) activateSection(item);
+      }
+      applyingRoute = false;
+    }
+
+    window.addEventListener("hashchange", applyRoute);
+    window.addEventListener("section-activated", syncRoute);
+    // Deep link on load, once the saved session (if any) is back.
+    // Without one, the URL just reflects the restored desktop.
+    window.addEventListener("desktop-ready", function () {
+      applyingRoute = false;
+      if (window.location.hash) {
+        applyRoute();
+      } else if (currentAppId) {
+        window.history.replaceState(null, "", routeFor(currentAppId));
+      }
+    });
+
+    /**
+     * Activities overview (GNOME-style launcher)
+     * - Opens with a lone Super key press or the top bar "Activities" button.
+     * - Fuzzy search over apps, every sidebar section, projects (titles and
+     *   tech tags) and contact entries; the index is rebuilt on each open so
+     *   registered apps and loaded content are always included.
+     * - Up/Down to move, Enter to pick, Esc (or a click outside) to dismiss.
+     */
+    (function () {
+      var MAX_RESULTS = 8;
+      var overlay = document.createElement("div");
+      overlay.className = "activities";
+      overlay.hidden = true;
+      overlay.setAttribute("role", "dialog");
+      overlay.setAttribute("aria-modal", "true");
+      overlay.setAttribute("aria-label", "Activities");
+
+      var panel = document.createElement("div");
+      panel.className = "activities__panel";
+      var input = document.createElement("input");
+      input.className = "activities__search";
+      input.type = "search";
+      input.placeholder = "Type to search";
+      input.setAttribute("role", "combobox");
+      input.setAttribute("aria-expanded", "true");
+      input.setAttribute("aria-controls", "activities-results");
+      input.setAttribute("aria-autocomplete", "list");
+      var list = document.createElement("ul");
+      list.className = "activities__results";
+      list.id = "activities-results";
+      list.setAttribute("role", "listbox");
+      panel.appendChild(input);
+      panel.appendChild(list);
+      overlay.appendChild(panel);
+      document.body.appendChild(overlay);
+
+      var entries = [];
+      var results = [];
+      var selected = 0;
+      var returnFocus = null;
+
+      function findSidebarItem(appId, sectionId) {
+        var win = getWindowEl(appId);
+        return win && Array.from(win.querySelectorAll(".sidebar-item")).find(function (item) {
+          return item.getAttribute("data-section") === sectionId;
+        });
+      }
+
+      function openSection(appId, sectionId) {
+        showApp(appId);
+        var item = findSidebarItem(appId, sectionId);
+        if (item) activateSection(item);
+      }
+
+      function buildIndex() {
+        entries = [];
+
+        document.querySelectorAll("[data-launch-app]").forEach(function (launcher) {
+          var appId = launcher.getAttribute("data-launch-app");
+          entries.push({
+            kind: "App",
+            title: launcher.getAttribute("aria-label") || appId,
+            subtitle: "Application",
+            keywords: [appId],
+            run: function () { showApp(appId); }
+          });
+        });
+
+        document.querySelectorAll(".app-window .sidebar-item").forEach(function (item) {
+          var win = item.closest(".app-window");
+          var appId = appIdOf(win);
+          entries.push({
+            kind: "Section",
+            title: item.textContent.trim(),
+            subtitle: win.getAttribute("aria-label") || appId,
+            keywords: [],
+            run: function () { openSection(appId, item.getAttribute("data-section")); }
+          });
+        });
+
+        content.projects().forEach(function (entry) {
+          var project = entry.project;
+          entries.push({
+            kind: "Project",
+            title: project.title,
+            subtitle: entry.category.title + " · " + (project.tech || []).join(" • "),
+            keywords: (project.tech || []).concat(project.tags || []),
+            run: function () {
+              showApp("projects");
+              content.openProject(project.slug, true);
+            }
+          });
+        });
+
+        var manifest = content.get();
+        (manifest ? manifest.contact.sections : []).forEach(function (section) {
+          section.items.forEach(function (item) {
+            entries.push({
+              kind: "Contact",
+              title: item.value,
+              subtitle: section.label + " · " + item.label,
+              keywords: [section.label, item.label],
+              run: function () { openSection("contact", "contact-" + section.id); }
+            });
+          });
+        });
+      }
+
+      /**
+       * Subsequence match with bonuses for consecutive characters, word
+       * starts and plain substrings. Returns { score, indices } or null.
+       */
+      function fuzzyMatch(query, text) {
+        var q = query.toLowerCase();
+        var t = text.toLowerCase();
+        var score = 0;
+        var last = -1;
+        var indices = [];
+
+        for (var i = 0; i < q.length; i++) {
+          if (q[i] === " ") continue;
+          var idx = t.indexOf(q[i], last + 1);
+          if (idx === -1) return null;
+          if (idx === last + 1) score += 5;
+          if (idx === 0 || /[\s\-_/.·•]/.test(t[idx - 1])) score += 8;
+          score -= Math.min(idx - last - 1, 4);
+          indices.push(idx);
+          last = idx;
+        }
+
+        if (t.indexOf(q) !== -1) score += 20;
+        return { score: score - t.length * 0.05, indices: indices };
+      }
+
+      function search(query) {
+        if (!query.trim()) {
+          return entries.filter(function (entry) {
+            return entry.kind === "App";
+          }).map(function (entry) {
+            return { entry: entry, indices: [] };
+          });
+        }
+
+        var scored = [];
+        entries.forEach(function (entry) {
+          var best = fuzzyMatch(query, entry.title);
+          entry.keywords.forEach(function (keyword) {
+            var match = fuzzyMatch(query, keyword);
+            if (match && (!best || match.score - 2 > best.score)) best = { score: match.score - 2, indices: [] };
+          });
+          if (best) scored.push({ entry: entry, indices: best.indices, score: best.score });
+        });
+
+        return scored.sort(function (a, b) {
+          return b.score - a.score;
+        }).slice(0, MAX_RESULTS);
+      }
+
+      function renderResults() {
+        list.textContent = "";
+        results.forEach(function (result, i) {
+          var row = document.createElement("li");
+          row.className = "activities__result" + (i === selected ? " is-selected" : "");
+          row.id = "activities-result-" + i;
+          row.setAttribute("role", "option");
+          row.setAttribute("aria-selected", String(i === selected));
+          row.setAttribute("data-index", String(i));
+
+          var kind = document.createElement("span");
+          kind.className = "activities__kind";
+          kind.textContent = result.entry.kind;
+
+          var title = document.createElement("span");
+          title.className = "activities__title";
+          result.entry.title.split("").forEach(function (ch, idx) {
+            if (result.indices.indexOf(idx) === -1) {
+              title.appendChild(document.createTextNode(ch));
+            } else {
+              var mark = document.createElement("mark");
+              mark.textContent = ch;
+              title.appendChild(mark);
+            }
+          });
+
+          var subtitle = document.createElement("span");
+          subtitle.className = "activities__subtitle";
+          subtitle.textContent = result.entry.subtitle;
+
+          row.appendChild(kind);
+          row.appendChild(title);
+          row.appendChild(subtitle);
+          list.appendChild(row);
+        });
+        input.setAttribute("aria-activedescendant", results.length ? "activities-result-" + selected : "");
+      }
+
+      function update() {
+        results = search(input.value);
+        selected = 0;
+        renderResults();
+      }
+
+      function open() {
+        if (!overlay.hidden) return;
+        returnFocus = document.activeElement;
+        buildIndex();
+        input.value = "";
+        overlay.hidden = false;
+        update();
+        input.focus();
+      }
+
+      function close(restoreFocus) {
+        if (overlay.hidden) return;
+        overlay.hidden = true;
+        if (restoreFocus && returnFocus && typeof returnFocus.focus === "function") returnFocus.focus();
+        returnFocus = null;
+      }
+
+      function pick(index) {
+        var result = results[index];
+        if (!result) return;
+        close(false);
+        result.entry.run();
+      }
+
+      input.addEventListener("input", update);
+
+      input.addEventListener("keydown", function (e) {
+        if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+          e.preventDefault();
+          if (!results.length) return;
+          selected = (selected + (e.key === "ArrowDown" ? 1 : -1) + results.length) % results.length;
+          renderResults();
+        } else if (e.key === "Enter") {
+          e.preventDefault();
+          pick(selected);
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          close(true);
+        }
+      });
+
+      overlay.addEventListener("click", function (e) {
+        var row = e.target.closest(".activities__result");
+        if (row) pick(parseInt(row.getAttribute("data-index"), 10));
+        else if (!e.target.closest(".activities__panel")) close(true);
+      });
+
+      document.addEventListener("click", function (e) {
+        if (e.target.closest("[data-activities-toggle]")) {
+          if (overlay.hidden) open();
+          else close(true);
+        }
+      });
+
+      // A lone Super press (no other key in between) toggles the overview.
+      var superAlone = false;
+      document.addEventListener("keydown", function (e) {
+        superAlone = e.key === "Meta" || e.key === "OS";
+      });
+      document.addEventListener("keyup", function (e) {
+        if ((e.key === "Meta" || e.key === "OS") && superAlone) {
+          if (overlay.hidden) open();
+          else close(true);
+        }
+        superAlone = false;
+      });
+    })();
+
+    /**
+     * Terminal specific logic
+     */
+    var terminalWindow = document.getElementById("app-terminal");
+
+    if (terminalWindow && terminalWindow.querySelector(".terminal-input")) {
+      /**
+       * Command registry
+       * - Each command declares: name, aliases, usage, description, run(ctx).
+       * - `hidden: true` keeps easter eggs out of the `help` listing.
+       * - `help` is generated from here, so it can't drift from what exists.
+       */
+      var commands = {}; // name -> command definition
+      var commandAliases = {}; // alias -> name
+      var terms = {}; // appId -> terminal window state (see "Terminal sessions")
+      var tty = null; // the session commands run in: the one whose input was used
+
+      /**
+       * Prompt from $PS1 with the usual bash escapes:
+       * \u user, \h/\H host, \w cwd (~-shortened), \W its basename,
+       * \$ "$", \t HH:MM:SS, \A HH:MM, \d "Mon Jan 01", \\ backslash.
+       * The prompt is one line, so \n becomes a space; \[ \] are dropped,
+       * and so is trailing space (the input row has its own gap).
+       */
+      function promptText() {
+        var now = new Date();
+        var display = vfs.displayPath(tty.cwd);
+        var escapes = {
+          u: getVar("USER"),
+          h: getVar("HOSTNAME"),
+          H: getVar("HOSTNAME"),
+          w: display,
+          W: display === "/" ? "/" : display.slice(display.lastIndexOf("/") + 1),
+          $: "$",
+          t: clock.strftime(now, "%H:%M:%S"),
+          A: clock.strftime(now, "%H:%M"),
+          d: clock.strftime(now, "%a %b %d"),
+          n: " ",
+          "[": "",
+          "]": "",
+          "\\": "\\"
+        };
+        return expandVars(getVar("PS1").replace(/\\([\s\S])/g, function (all, ch) {
+          return Object.prototype.hasOwnProperty.call(escapes, ch) ? escapes[ch] : all;
+        })).replace(/\s+$/, "");
+      }
+
+      // Refreshes every window's prompt and tab titles (cwd, $PS1 changes).
+      function updatePrompt() {
+        Object.keys(terms).forEach(function (appId) {
+          var term = terms[appId];
+          if (term.active && !term.active.search) term.prompt.textContent = withShell(term.active, promptText);
+          renderTabs(term);
+        });
+      }
+
+      function registerCommand(def) {
+        commands[def.name] = def;
+        (def.aliases || []).forEach(function (alias) {
+          commandAliases[alias] = def.name;
+        });
+      }
+
+      function findCommand(name) {
+        if (Object.prototype.hasOwnProperty.call(commands, name)) return commands[name];
+        if (Object.prototype.hasOwnProperty.call(commandAliases, name)) return commands[commandAliases[name]];
+        return null;
+      }
+
+      var OPERATORS = ["&&", "||", ">>", "|", ";", ">"]; // longest first
+
+      function readOperator(line, i) {
+        for (var k = 0; k < OPERATORS.length; k++) {
+          if (line.substr(i, OPERATORS[k].length) === OPERATORS[k]) return OPERATORS[k];
+        }
+        return null;
+      }
+
+      /**
+       * Tokenizer: splits a command line into words (bash-like quoting).
+       * - 'single quotes' are literal
+       * - "double quotes" allow \" \\ and \$ escapes; $VARS expand inside
+       * - a backslash outside quotes escapes the next character
+       * - unquoted operators (&& || | ; > >>) become { op } tokens, and so
+       *   does a newline ({ op: "\n" }); "#" at a word start comments out
+       *   the rest of the line
+       * Words are { word: [{ text, quote }] }: expansion happens when the
+       * command runs (expandWord), so `export A=1; echo $A` sees the new A.
+       * quote is "'" (literal), '"' (expand, no splitting) or null.
+       * Throws on an unterminated quote.
+       */
+      function tokenize(line) {
+        var tokens = [];
+        var segments = [];
+        var inToken = false;
+        var quote = null;
+        var op;
+
+        function add(text, kind) {
+          var last = segments[segments.length - 1];
+          if (last && last.quote === kind) last.text += text;
+          else segments.push({ text: text, quote: kind });
+          inToken = true;
+        }
+
+        function endWord() {
+          if (inToken) tokens.push({ word: segments });
+          segments = [];
+          inToken = false;
+        }
+
+        for (var i = 0; i < line.length; i++) {
+          var ch = line[i];
+
+          if (quote === "'") {
+            if (ch === "'") quote = null;
+            else add(ch, "'");
+            continue;
+          }
+
+          if (quote === '"') {
+            if (ch === '"') {
+              quote = null;
+            } else if (ch === "\\" && /["\\$]/.test(line[i + 1] || "")) {
+              add(line[++i], "'");
+            } else {
+              add(ch, '"');
+            }
+            continue;
+          }
+
+          if (ch === "'" || ch === '"') {
+            quote = ch;
+            if (!segments.length || segments[segments.length - 1].quote !== ch) segments.push({ text: "", quote: ch });
+            inToken = true;
+          } else if (ch === "\\" && i + 1 < line.length) {
+            if (line[i + 1] !== "\n") add(line[i + 1], "'");
+            i++;
+          } else if (ch === "#" && !inToken) {
+            while (i + 1 < line.length && line[i + 1] !== "\n") i++;
+          } else if (ch === "\n") {
+            endWord();
+            tokens.push({ op: "\n" });
+          } else if (/\s/.test(ch)) {
+            endWord();
+          } else if ((op = readOperator(line, i))) {
+            endWord();
+            tokens.push({ op: op });
+            i += op.length - 1;
+          } else {
+            add(ch, null);
+          }
+        }
+
+        if (quote) throw new Error("unterminated " + (quote === "'" ? "single" : "double") + " quote");
+        endWord();
+        return tokens;
+      }
+
+      /**
+       * A word's text when it is plain and unquoted (keywords, alias and
+       * assignment names), else null.
+       */
+      function plainWord(tok) {
+        return tok && tok.word && tok.word.length === 1 && tok.word[0].quote === null ? tok.word[0].text : null;
+      }
+
+      /**
+       * Shell variables: `export`ed values plus built-ins. $PWD, $UPTIME,
+       * $RANDOM, $? and the function arguments are computed on every read;
+       * the rest can be overridden with export.
+       */
+      var shellVars = {};
+      var lastStatus = 0;
+      var positional = []; // $1..$9 inside a shell function
+
+      function getVar(name) {
+        if (name === "?") return String(lastStatus);
+        if (name === "#") return String(positional.length);
+        if (name === "@" || name === "*") return positional.join(" ");
+        if (name === "0") return "techieman-sh";
+        if (/^[1-9]$/.test(name)) return positional[name - 1] || "";
+        if (name === "PWD") return tty.cwd;
+        if (name === "UPTIME") return uptime.describe(uptime.elapsed());
+        if (name === "RANDOM") return String(Math.floor(Math.random() * 32768));
+        if (Object.prototype.hasOwnProperty.call(shellVars, name)) return shellVars[name];
+        var manifest = content.get();
+        var builtins = {
+          USER: manifest ? manifest.profile.user : "techieman",
+          HOME: vfs.HOME,
+          HOSTNAME: "os",
+          SHELL: "/bin/techieman-sh",
+          PS1: "\\u@\\h:\\w\\$"
+        };
+        return Object.prototype.hasOwnProperty.call(builtins, name) ? builtins[name] : "";
+      }
+
+      function expandVars(text) {
+        return text.replace(/\$(\{([A-Za-z_][A-Za-z0-9_]*)\}|([A-Za-z_][A-Za-z0-9_]*)|([0-9?#@*]))/g, function (all, braced, name, plain, special) {
+          return getVar(name || plain || special);
+        });
+      }
+
+      /**
+       * Word -> fields. Unquoted expansions split on whitespace and vanish
+       * when empty; anything quoted always yields a field.
+       */
+      function expandWord(tok) {
+        var fields = [];
+        var current = null;
+        tok.word.forEach(function (segment) {
+          if (segment.quote === "'") {
+            current = (current || "") + segment.text;
+          } else if (segment.quote === '"' && segment.text === "$@") {
+            // "$@" keeps each function argument a field of its own.
+            positional.forEach(function (arg, i) {
+              if (i > 0) fields.push(current);
+              current = (i > 0 ? "" : current || "") + arg;
+            });
+          } else if (segment.quote === '"') {
+            current = (current || "") + expandVars(segment.text);
+          } else {
+            expandVars(segment.text).split(/\s+/).forEach(function (piece, i) {
+              if (i > 0 && current !== null) {
+                fields.push(current);
+                current = null;
+              }
+              if (piece) current = (current || "") + piece;
+            });
+          }
+        });
+        if (current !== null) fields.push(current);
+        return fields;
+      }
+
+      function expandWords(words) {
+        return words.reduce(function (fields, tok) {
+          return fields.concat(expandWord(tok));
+        }, []);
+      }
+
+      /**
+       * Splits argv into positional args and flags.
+       * - --name / --name=value  => flags.name
+       * - -abc                   => flags.a, flags.b, flags.c
+       * - "--" ends flag parsing; a lone "-" is positional
+       * - flags listed in valueFlags take a value: "-n 5", "-n5", "--lines 5"
+       */
+      function parseArgs(argv, valueFlags) {
+        var args = [];
+        var flags = {};
+        var flagsDone = false;
+        valueFlags = valueFlags || [];
+
+        for (var i = 0; i < argv.length; i++) {
+          var tok = argv[i];
+          if (flagsDone || tok === "-" || tok.charAt(0) !== "-") {
+            args.push(tok);
+          } else if (tok === "--") {
+            flagsDone = true;
+          } else if (tok.indexOf("--") === 0) {
+            var eq = tok.indexOf("=");
+            var longName = eq === -1 ? tok.slice(2) : tok.slice(2, eq);
+            if (eq !== -1) flags[longName] = tok.slice(eq + 1);
+            else if (valueFlags.indexOf(longName) !== -1 && i + 1 < argv.length) flags[longName] = argv[++i];
+            else flags[longName] = true;
+          } else {
+            for (var j = 1; j < tok.length; j++) {
+              var f = tok.charAt(j);
+              if (valueFlags.indexOf(f) === -1) {
+                flags[f] = true;
+              } else {
+                var rest = tok.slice(j + 1);
+                flags[f] = rest || (i + 1 < argv.length ? argv[++i] : true);
+                break;
+              }
+            }
+          }
+        }
+
+        return { args: args, flags: flags };
+      }
+
+      /**
+       * Terminal output (the only place that creates output DOM)
+       * - printLine(text):       plain text, never interpreted.
+       * - printMarkup(markup):   styled text. Tags open a style, [/] closes
+       *                          the innermost one, "[[" is a literal "[":
+       *                          [green] [red] [yellow] [blue] [purple] [cyan]
+       *                          [bold] [dim] [italic] [underline]
+       * - escapeMarkup(text):    makes user text safe to embed in markup.
+       * Everything ends up in textContent + classes; nothing touches innerHTML.
+       */
+      var MARKUP_STYLES = ["green", "red", "yellow", "blue", "purple", "cyan", "bold", "dim", "italic", "underline"];
+      var MARKUP_TOKEN = /\[\[|\[(\/|[a-z]+)\]/g;
+
+      function escapeMarkup(text) {
+        return String(text).replace(/\[/g, "[[");
+      }
+
+      /**
+       * Parses markup into [{ text, styles }] runs. Unknown tags stay literal.
+       */
+      function parseMarkup(markup) {
+        var runs = [];
+        var stack = [];
+        var last = 0;
+        var match;
+
+        function push(text) {
+          if (text) runs.push({ text: text, styles: stack.slice() });
+        }
+
+        MARKUP_TOKEN.lastIndex = 0;
+        while ((match = MARKUP_TOKEN.exec(markup)) !== null) {
+          var tag = match[1];
+          if (tag && tag !== "/" && MARKUP_STYLES.indexOf(tag) === -1) continue;
+
+          push(markup.slice(last, match.index));
+          last = MARKUP_TOKEN.lastIndex;
+          if (!tag) push("[");
+          else if (tag === "/") stack.pop();
+          else stack.push(tag);
+        }
+        push(markup.slice(last));
+        return runs;
+      }
+
+      function stripMarkup(markup) {
+        return parseMarkup(markup).map(function (run) {
+          return run.text;
+        }).join("");
+      }
+
+      function renderMarkup(markup, container) {
+        parseMarkup(markup).forEach(function (run) {
+          if (run.styles.length === 0) {
+            container.appendChild(document.createTextNode(run.text));
+            return;
+          }
+          var span = document.createElement("span");
+          span.className = run.styles.map(function (style) {
+            return "term-" + style;
+          }).join(" ");
+          span.textContent = run.text;
+          container.appendChild(span);
+        });
+        return container;
+      }
+
+      var muted = false; // quiet startup script: output is dropped
+
+      function printMarkup(markup) {
+        if (muted || !tty) return;
+        tty.output.appendChild(renderMarkup(markup, document.createElement("div")));
+      }
+
+      // Preformatted output (ASCII art) that keeps its spacing.
+      function printBlock(text, className) {
+        if (muted || !tty) return;
+        var pre = document.createElement("pre");
+        if (className) pre.className = className;
+        pre.textContent = text;
+        tty.output.appendChild(pre);
+      }
+
+      function printLine(text) {
+        printMarkup(escapeMarkup(text));
+      }
+
+      function clearScreen() {
+        tty.output.textContent = "";
+      }
+
+      /**
+       * Parser: tokens -> command list
+       *   list:  [{ connector: null | "&&" | "||" | ";", node }]
+       *   node:  { type: "pipeline", stages: [{ argv: [word], redirect }] }
+       *        | { type: "for", name, words: [word], body: list }
+       *        | { type: "if", clauses: [{ test: list, body: list }], otherwise: list | null }
+       *        | { type: "function", name, body: list }
+       * Functions are `name() { ...; }` or `function name { ...; }`.
+       * Keywords (for/in/do/done, if/then/elif/else/fi, braces) only count at
+       * the start of a command, so `echo done` is just an echo. Newlines
+       * separate commands like ";" (blank lines are fine).
+       * Throws a syntax error on a misplaced operator or keyword.
+       */
+      var KEYWORDS = ["do", "done", "then", "elif", "else", "fi", "in", "{", "}"];
+      var NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+      var FUNCTION_NAME = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+      function parseScript(tokens) {
+        var pos = 0;
+
+        function syntaxError(tok) {
+          var near = !tok ? "newline" : tok.op ? (tok.op === "\n" ? "newline" : tok.op) : plainWord(tok) || "word";
+          throw new Error("syntax error near unexpected token `" + near + "'");
+        }
+
+        function skipNewlines() {
+          while (tokens[pos] && tokens[pos].op === "\n") pos++;
+        }
+
+        function expectKeyword(keyword) {
+          skipNewlines();
+          if (plainWord(tokens[pos]) !== keyword) syntaxError(tokens[pos]);
+          pos++;
+        }
+
+        function parseList(terminators) {
+          var list = [];
+          var connector = null;
+          for (;;) {
+            skipNewlines();
+            var tok = tokens[pos];
+            var keyword = plainWord(tok);
+            if (!tok) {
+              if (terminators.length || (connector && connector !== ";")) syntaxError(null);
+              return list;
+            }
+            if (terminators.indexOf(keyword) !== -1) {
+              if (!list.length || (connector && connector !== ";")) syntaxError(tok);
+              return list;
+            }
+            if (KEYWORDS.indexOf(keyword) !== -1) syntaxError(tok);
+
+            var node;
+            if (keyword === "for") node = parseFor();
+            else if (keyword === "if") node = parseIf();
+            else if (keyword === "function" || /\(\)$/.test(keyword) || plainWord(tokens[pos + 1]) === "()") node = parseFunction();
+            else node = parsePipeline();
+            list.push({ connector: connector, node: node });
+
+            tok = tokens[pos];
+            if (!tok) {
+              if (terminators.length) syntaxError(null);
+              return list;
+            }
+            if (tok.word) syntaxError(tok);
+            if (tok.op !== "\n" && tok.op !== ";" && tok.op !== "&&" && tok.op !== "||") syntaxError(tok);
+            connector = tok.op === "\n" ? ";" : tok.op;
+            pos++;
+          }
+        }
+
+        function parsePipeline() {
+          var stages = [];
+          var simple = { argv: [], redirect: null };
+          for (; pos < tokens.length; pos++) {
+            var tok = tokens[pos];
+            if (tok.word) {
+              simple.argv.push(tok);
+            } else if (tok.op === ">" || tok.op === ">>") {
+              if (!tokens[pos + 1] || !tokens[pos + 1].word) syntaxError(tokens[pos + 1]);
+              simple.redirect = { path: tokens[++pos], append: tok.op === ">>" };
+            } else if (tok.op === "|") {
+              if (!simple.argv.length) syntaxError(tok);
+              stages.push(simple);
+              simple = { argv: [], redirect: null };
+            } else {
+              break;
+            }
+          }
+          if (!simple.argv.length) syntaxError(tokens[pos]);
+          stages.push(simple);
+          return { type: "pipeline", stages: stages };
+        }
+
+        function parseFor() {
+          pos++;
+          var name = plainWord(tokens[pos]);
+          if (!name || !NAME.test(name)) syntaxError(tokens[pos]);
+          pos++;
+          expectKeyword("in");
+          var words = [];
+          while (tokens[pos] && tokens[pos].word) words.push(tokens[pos++]);
+          if (!tokens[pos] || (tokens[pos].op !== ";" && tokens[pos].op !== "\n")) syntaxError(tokens[pos]);
+          pos++;
+          expectKeyword("do");
+          var body = parseList(["done"]);
+          pos++;
+          return { type: "for", name: name, words: words, body: body };
+        }
+
+        function parseIf() {
+          var clauses = [];
+          var otherwise = null;
+          var keyword = "if";
+          while (keyword === "if" || keyword === "elif") {
+            pos++;
+            var test = parseList(["then"]);
+            pos++;
+            var body = parseList(["elif", "else", "fi"]);
+            clauses.push({ test: test, body: body });
+            keyword = plainWord(tokens[pos]);
+          }
+          if (keyword === "else") {
+            pos++;
+            otherwise = parseList(["fi"]);
+          }
+          pos++;
+          return { type: "if", clauses: clauses, otherwise: otherwise };
+        }
+
+        function parseFunction() {
+          var name = plainWord(tokens[pos]);
+          if (name === "function") {
+            name = plainWord(tokens[++pos]);
+            if (name !== null && plainWord(tokens[pos + 1]) === "()") pos++;
+          }
+          if (name !== null && /\(\)$/.test(name)) name = name.slice(0, -2);
+          else if (plainWord(tokens[pos + 1]) === "()") pos++;
+          if (!name || !FUNCTION_NAME.test(name)) syntaxError(tokens[pos]);
+          pos++;
+          expectKeyword("{");
+          var body = parseList(["}"]);
+          pos++;
+          return { type: "function", name: name, body: body };
+        }
+
+        skipNewlines();
+        if (pos >= tokens.length) return [];
+        return parseList([]);
+      }
+
+      /**
+       * Aliases: a command's first word is replaced by the alias text when
+       * it runs, so an alias defined earlier in a script works later in it.
+       * An alias is not re-expanded inside its own expansion.
+       */
+      var aliases = {}; // name -> replacement text
+      var expandingAliases = [];
+      var ASSIGNMENT = /^([A-Za-z_][A-Za-z0-9_]*)=([\s\S]*)$/;
+      var MAX_DEPTH = 16; // nesting limit for aliases and `source`
+
+      function runAlias(name, simple, stdin, out) {
+        var tokens;
+        var list;
+        try {
+          tokens = tokenize(aliases[name]).concat(simple.argv.slice(1));
+          if (simple.redirect) tokens.push({ op: simple.redirect.append ? ">>" : ">" }, simple.redirect.path);
+          list = parseScript(tokens);
+        } catch (err) {
+          printMarkup("[red]" + escapeMarkup(name + ": alias: " + err.message) + "[/]");
+          return 2;
+        }
+        if (expandingAliases.length >= MAX_DEPTH) {
+          printMarkup("[red]" + escapeMarkup(name + ": alias nested too deeply") + "[/]");
+          return 1;
+        }
+
+        expandingAliases.push(name);
+        try {
+          return runList(list, stdin, out);
+        } finally {
+          expandingAliases.pop();
+        }
+      }
+
+      /**
+       * Runs one command. With `out`, stdout is captured there as plain
+       * lines (markup stripped) instead of being rendered. Errors always go
+       * to the screen. Returns the exit status.
+       * Leading NAME=value words set shell variables: for good when nothing
+       * follows, otherwise only while that command runs.
+       */
+      function runSimple(simple, stdin, out) {
+        var first = plainWord(simple.argv[0]);
+        if (first !== null && Object.prototype.hasOwnProperty.call(aliases, first) && expandingAliases.indexOf(first) === -1) {
+          return runAlias(first, simple, stdin, out);
+        }
+
+        var argv = expandWords(simple.argv);
+        var assignments = [];
+        while (argv.length && ASSIGNMENT.test(argv[0])) assignments.push(ASSIGNMENT.exec(argv.shift()));
+        if (!argv.length) {
+          assignments.forEach(function (match) {
+            shellVars[match[1]] = match[2];
+          });
+          if (assignments.length) updatePrompt();
+          return 0;
+        }
+
+        var previous = {};
+        assignments.forEach(function (match) {
+          previous[match[1]] = Object.prototype.hasOwnProperty.call(shellVars, match[1]) ? shellVars[match[1]] : undefined;
+          shellVars[match[1]] = match[2];
+        });
+        try {
+          if (Object.prototype.hasOwnProperty.call(functions, argv[0])) return runFunction(argv, stdin, out);
+          return runCommand(argv, stdin, out);
+        } finally {
+          Object.keys(previous).forEach(function (name) {
+            if (previous[name] === undefined) delete shellVars[name];
+            else shellVars[name] = previous[name];
+          });
+        }
+      }
+
+      function runCommand(argv, stdin, out) {
+        var name = argv[0];
+        var command = findCommand(name);
+        if (!command) {
+          printMarkup("[red]Command not found:[/] " + escapeMarkup(name));
+          return 127;
+        }
+
+        var status = 0;
+        var parsed = parseArgs(argv.slice(1), command.valueFlags);
+        var ctx = {
+          name: name,
+          argv: argv.slice(1),
+          args: parsed.args,
+          flags: parsed.flags,
+          stdin: stdin,
+          cwd: tty.cwd,
+          interactive: !out && !muted, // output goes to the screen
+          print: out ? function (text) { out.push(String(text)); } : printLine,
+          printMarkup: out ? function (markup) { out.push(stripMarkup(markup)); } : printMarkup,
+          printBlock: out ? function (text) { out.push(String(text)); } : printBlock,
+          error: function (text) {
+            status = 1;
+            printMarkup("[red]" + escapeMarkup(text) + "[/]");
+          },
+          clear: clearScreen
+        };
+
+        try {
+          var result = command.run(ctx);
+          return typeof result === "number" ? result : status;
+        } catch (err) {
+          ctx.error(name + ": " + err.message);
+          return 1;
+        }
+      }
+
+      /**
+       * cmd1 | cmd2 | cmd3 — each stage's stdout is the next one's stdin.
+       * A `>`/`>>` redirect writes that stage's stdout into the VFS.
+       * `stdin` feeds the first stage; `out` (if given) captures the last.
+       */
+      function runPipeline(stages, stdin, out) {
+        var status = 0;
+        stdin = stdin === undefined ? null : stdin;
+
+        stages.forEach(function (simple, i) {
+          var isLast = i === stages.length - 1;
+          var stageOut = simple.redirect || !isLast ? [] : out || null;
+          status = runSimple(simple, stdin, stageOut);
+
+          if (simple.redirect) {
+            var target = expandWord(simple.redirect.path);
+            try {
+              if (target.length !== 1) throw new Error("ambiguous redirect");
+              vfs.writeFile(vfs.normalize(target[0], tty.cwd), stageOut.length ? stageOut.join("\n") + "\n" : "", simple.redirect.append);
+            } catch (err) {
+              printMarkup("[red]" + escapeMarkup(target.join(" ") + ": " + err.message) + "[/]");
+              status = 1;
+            }
+            stdin = "";
+          } else if (!isLast) {
+            stdin = stageOut.join("\n");
+          }
+        });
+
+        return status;
+      }
+
+      /**
+       * Shell functions: name -> body (a parsed list). Arguments are
+       * $1..$9, $# and $@ while the body runs.
+       */
+      var functions = {};
+      var callDepth = 0;
+
+      function runFunction(argv, stdin, out) {
+        if (callDepth >= MAX_DEPTH) {
+          printMarkup("[red]" + escapeMarkup(argv[0] + ": maximum function nesting exceeded") + "[/]");
+          return 1;
+        }
+
+        var saved = positional;
+        positional = argv.slice(1);
+        callDepth++;
+        try {
+          return runList(functions[argv[0]], stdin, out);
+        } finally {
+          callDepth--;
+          positional = saved;
+        }
+      }
+
+      // Compound commands pass stdin/out through, so `greet | grep hi` works.
+      function runNode(node, stdin, out) {
+        if (node.type === "pipeline") return runPipeline(node.stages, stdin, out);
+
+        if (node.type === "function") {
+          functions[node.name] = node.body;
+          return 0;
+        }
+
+        if (node.type === "for") {
+          var status = 0;
+          expandWords(node.words).forEach(function (value) {
+            shellVars[node.name] = value;
+            status = runList(node.body, stdin, out);
+          });
+          return status;
+        }
+
+        for (var i = 0; i < node.clauses.length; i++) {
+          if (runList(node.clauses[i].test, stdin, null) === 0) return runList(node.clauses[i].body, stdin, out);
+        }
+        return node.otherwise ? runList(node.otherwise, stdin, out) : 0;
+      }
+
+      function runList(list, stdin, out) {
+        var status = 0;
+        list.forEach(function (entry) {
+          if (entry.connector === "&&" && status !== 0) return;
+          if (entry.connector === "||" && status === 0) return;
+          status = runNode(entry.node, stdin, out);
+          lastStatus = status;
+        });
+        return status;
+      }
+
+      /**
+       * Runs a command line or a whole script (newline-separated). `name`
+       * prefixes parse errors, e.g. the sourced file.
+       */
+      var scriptDepth = 0;
+
+      function runScript(text, name) {
+        var list;
+        try {
+          list = parseScript(tokenize(text));
+        } catch (err) {
+          printMarkup("[red]" + escapeMarkup(name ? name + ": " : "") + "parse error:[/] " + escapeMarkup(err.message));
+          lastStatus = 2;
+          return 2;
+        }
+        if (scriptDepth >= MAX_DEPTH) {
+          printMarkup("[red]" + escapeMarkup((name || "sh") + ": scripts nested too deeply") + "[/]");
+          return 1;
+        }
+
+        scriptDepth++;
+        try {
+          return runList(list);
+        } finally {
+          scriptDepth--;
+        }
+      }
+
+      /**
+       * Input for filter commands: the named files, else piped stdin.
+       * Returns an array of lines, or null after reporting an error.
+       */
+      function splitLines(text) {
+        return text === "" ? [] : text.replace(/\n$/, "").split("\n");
+      }
+
+      function readInput(ctx, files) {
+        if (files.length === 0) {
+          if (ctx.stdin === null) {
+            ctx.error(ctx.name + ": no input (pipe a command into it or name a file)");
+            return null;
+          }
+          return splitLines(ctx.stdin);
+        }
+
+        var lines = [];
+        for (var i = 0; i < files.length; i++) {
+          var node = vfs.stat(vfs.normalize(files[i], tty.cwd));
+          if (!node || node.type === "dir") {
+            ctx.error(ctx.name + ": " + files[i] + ": " + (node ? "Is a directory" : "No such file or directory"));
+            return null;
+          }
+          lines = lines.concat(splitLines(node.content));
+        }
+        return lines;
+      }
+
+      registerCommand({
+        name: "help",
+        usage: "help [command]",
+        description: "List commands, or show usage for one command",
+        complete: "commands",
+        run: function (ctx) {
+          if (ctx.args.length > 0) {
+            var command = findCommand(ctx.args[0]);
+            if (!command) {
+              ctx.error("help: no such command: " + ctx.args[0]);
+              return;
+            }
+            ctx.print("Usage: " + command.usage);
+            if (command.aliases && command.aliases.length) {
+              ctx.print("Aliases: " + command.aliases.join(", "));
+            }
+            ctx.print(command.description);
+            return;
+          }
+
+          var visible = Object.keys(commands).filter(function (name) {
+            return !commands[name].hidden;
+          }).sort();
+          var width = visible.reduce(function (max, name) {
+            return Math.max(max, name.length);
+          }, 0);
+
+          ctx.print("Available commands:");
+          visible.forEach(function (name) {
+            ctx.printMarkup("  [bold]" + name.padEnd(width + 2) + "[/]" + escapeMarkup(commands[name].description));
+          });
+          ctx.print('Type "help <command>" for usage.');
+        }
+      });
+
+      registerCommand({
+        name: "clear",
+        aliases: ["cls"],
+        usage: "clear",
+        description: "Clear the terminal screen",
+        run: function (ctx) {
+          ctx.clear();
+        }
+      });
+
+      ["about", "contact"].forEach(function (appId) {
+        registerCommand({
+          name: appId,
+          usage: appId,
+          description: "Open the " + appId.charAt(0).toUpperCase() + appId.slice(1) + " window",
+          run: function (ctx) {
+            ctx.print("Opening " + appId + "...");
+            showApp(appId);
+          }
+        });
+      });
+
+      /**
+       * mail: sends through the same transport as the Contact form.
+       * Sender details fall back to the form's saved draft.
+       */
+      registerCommand({
+        name: "mail",
+        usage: "mail [-s subject] [-r address] [-n name] [message...] | mail --draft",
+        description: "Send me a message (no message opens the compose form)",
+        complete: "none",
+        valueFlags: ["s", "r", "n"],
+        run: function (ctx) {
+          var draft = mail.draft() || {};
+          if (ctx.flags.draft) {
+            if (!mail.draft()) {
+              ctx.print("No saved draft.");
+              return;
+            }
+            ["name", "email", "subject", "message"].forEach(function (key) {
+              if (draft[key]) ctx.printMarkup("[purple]" + key + ":[/] " + escapeMarkup(draft[key]));
+            });
+            return;
+          }
+
+          var body = ctx.args.length ? ctx.args.join(" ") : ctx.stdin;
+          if (!body) {
+            ctx.print("Opening the compose form...");
+            showApp("contact");
+            var item = document.querySelector('[data-section="contact-compose"]');
+            if (item) activateSection(item);
+            return;
+          }
+
+          var message = {
+            name: typeof ctx.flags.n === "string" ? ctx.flags.n : draft.name,
+            email: typeof ctx.flags.r === "string" ? ctx.flags.r : draft.email,
+            subject: typeof ctx.flags.s === "string" ? ctx.flags.s : "",
+            message: body
+          };
+          var problems = mail.validate(message);
+          if (problems.name || problems.email) {
+            ctx.error("mail: " + (problems.name || problems.email) + " (use -n \"Your Name\" -r you@example.com)");
+            return 1;
+          }
+
+          var shell = tty;
+          ctx.print("Sending via " + mail.transport() + "...");
+          mail.send(message).then(function (status) {
+            return "[green]" + escapeMarkup(status) + "[/]";
+          }, function (err) {
+            return "[red]" + escapeMarkup("mail: " + err.message) + "[/]";
+          }).then(function (result) {
+            withShell(shell, function () {
+              printMarkup(result);
+            });
+            scrollToEnd(shell);
+          });
+        }
+      });
+
+      registerCommand({
+        name: "projects",
+        usage: "projects [--list | <slug>]",
+        description: "Open the Projects window, or one project's details (--list prints them instead)",
+        complete: "projects",
+        run: function (ctx) {
+          if (!ctx.flags.list) {
+            if (ctx.args.length && !content.projects().some(function (entry) { return entry.project.slug === ctx.args[0]; })) {
+              ctx.error("projects: no such project: " + ctx.args[0] + " (see projects --list)");
+              return;
+            }
+            ctx.print("Opening " + (ctx.args.length ? ctx.args[0] : "projects") + "...");
+            showApp("projects");
+            if (ctx.args.length) content.openProject(ctx.args[0], true);
+            return;
+          }
+
+          var rows = content.projects().map(function (entry) {
+            return [entry.project.slug, (entry.project.tags || []).join(", "), (entry.project.tech || []).join(" • ")];
+          });
+
+          var slugWidth = Math.max.apply(null, rows.map(function (row) { return row[0].length; }).concat(0));
+          var tagsWidth = Math.max.apply(null, rows.map(function (row) { return row[1].length; }).concat(0));
+          rows.forEach(function (row) {
+            ctx.print(row[0].padEnd(slugWidth + 2) + row[1].padEnd(tagsWidth + 2) + row[2]);
+          });
+        }
+      });
+
+      registerCommand({
+        name: "workspace",
+        aliases: ["ws"],
+        usage: "workspace [list | <n> | move <app> <n>]",
+        description: "List or switch workspaces, or move an app to one",
+        complete: "apps",
+        run: function (ctx) {
+          var sub = ctx.args[0] || "list";
+          var parseIndex = function (arg) {
+            var n = Number(arg);
+            return Number.isInteger(n) && n >= 1 && n <= WORKSPACE_COUNT ? n - 1 : -1;
+          };
+
+          if (sub === "list") {
+            for (var i = 0; i < WORKSPACE_COUNT; i++) {
+              var names = Array.from(runningApps).filter(function (appId) {
+                return workspaceOf(appId) === i;
+              });
+              var current = i === activeWorkspace;
+              ctx.printMarkup((current ? "[green]* " : "  ") + (i + 1) + (current ? "[/]" : "") + "  " + (names.length ? names.join(", ") : "[dim](empty)[/]"));
+            }
+          } else if (sub === "move") {
+            var appId = ctx.args[1];
+            var target = parseIndex(ctx.args[2]);
+            if (!appId || ctx.args.length < 3) {
+              ctx.error("workspace: usage: workspace move <app> <n>");
+            } else if (!runningApps.has(appId)) {
+              ctx.error("workspace: " + appId + ": not running");
+            } else if (target === -1) {
+              ctx.error("workspace: " + ctx.args[2] + ": no such workspace (1-" + WORKSPACE_COUNT + ")");
+            } else {
+              moveToWorkspace(appId, target);
+              ctx.print("Moved " + appId + " to workspace " + (target + 1));
+            }
+          } else if (parseIndex(sub) !== -1) {
+            switchWorkspace(parseIndex(sub));
+          } else {
+            ctx.error("workspace: " + sub + ": no such workspace (1-" + WORKSPACE_COUNT + ")");
+          }
+        }
+      });
+
+      registerCommand({
+        name: "home",
+        usage: "home",
+        description: "Minimize all windows on this workspace",
+        run: function (ctx) {
+          ctx.print("All windows minimized");
+          minimizeAllWindows();
+        }
+      });
+
+      registerCommand({
+        name: "exit",
+        usage: "exit",
+        description: "Close this terminal session (its window, if it is the last tab)",
+        run: function (ctx) {
+          var shell = tty;
+          ctx.print("Closing terminal in 5 seconds...");
+
+          setTimeout(function () {
+            withShell(shell, function () {
+              printLine("Shutting down terminal...");
+              scrollToEnd();
+            });
+          }, 1000);
+
+          [3, 2, 1].forEach(function (num, index) {
+            setTimeout(function () {
+              withShell(shell, function () {
+                printLine(String(num));
+                scrollToEnd();
+              });
+            }, (index + 2) * 1000);
+          });
+
+          setTimeout(function () {
+            closeShell(shell);
+          }, 5000);
+        }
+      });
+
+      registerCommand({
+        name: "pwd",
+        usage: "pwd",
+        description: "Print the current working directory",
+        run: function (ctx) {
+          ctx.print(tty.cwd);
+        }
+      });
+
+      registerCommand({
+        name: "cd",
+        usage: "cd [dir]",
+        description: "Change the working directory (defaults to ~)",
+        complete: "dirs",
+        run: function (ctx) {
+          var target = vfs.normalize(ctx.args[0] || "~", tty.cwd);
+          var node = vfs.stat(target);
+          if (!node) {
+            ctx.error("cd: " + ctx.args[0] + ": No such file or directory");
+          } else if (node.type !== "dir") {
+            ctx.error("cd: " + ctx.args[0] + ": Not a directory");
+          } else {
+            tty.cwd = target;
+            updatePrompt();
+          }
+        }
+      });
+
+      registerCommand({
+        name: "ls",
+        usage: "ls [-l] [path...]",
+        description: "List directory contents",
+        run: function (ctx) {
+          var paths = ctx.args.length ? ctx.args : ["."];
+          paths.forEach(function (arg, i) {
+            var path = vfs.normalize(arg, tty.cwd);
+            var node = vfs.stat(path);
+            if (!node) {
+              ctx.error("ls: cannot access '" + arg + "': No such file or directory");
+              return;
+            }
+
+            var names = node.type === "dir" ? vfs.list(path) : [arg];
+            if (paths.length > 1) {
+              if (i > 0) ctx.print("");
+              ctx.print(arg + ":");
+            }
+
+            var entries = names.map(function (name) {
+              var child = node.type === "dir" ? node.children[name] : node;
+              var label = escapeMarkup(child.type === "dir" ? name + "/" : name);
+              return { label: child.type === "dir" ? "[blue]" + label + "[/]" : label, node: child };
+            });
+
+            if (ctx.flags.l) {
+              entries.forEach(function (entry) {
+                var isDir = entry.node.type === "dir";
+                var size = isDir ? Object.keys(entry.node.children).length : entry.node.content.length;
+                ctx.printMarkup((isDir ? "drwxr-xr-x" : "-rw-r--r--") + "  techieman  " + String(size).padStart(5) + "  " + entry.label);
+              });
+            } else if (entries.length) {
+              ctx.printMarkup(entries.map(function (entry) { return entry.label; }).join("  "));
+            }
+          });
+        }
+      });
+
+      registerCommand({
+        name: "cat",
+        usage: "cat <file...>",
+        description: "Print file contents",
+        run: function (ctx) {
+          if (!ctx.args.length) {
+            ctx.error("cat: missing file operand");
+            return;
+          }
+          ctx.args.forEach(function (arg) {
+            var node = vfs.stat(vfs.normalize(arg, tty.cwd));
+            if (!node) {
+              ctx.error("cat: " + arg + ": No such file or directory");
+            } else if (node.type === "dir") {
+              ctx.error("cat: " + arg + ": Is a directory");
+            } else {
+              ctx.print(node.content.replace(/\n$/, ""));
+            }
+          });
+        }
+      });
+
+      registerCommand({
+        name: "tree",
+        usage: "tree [dir]",
+        description: "Show a directory as a tree",
+        run: function (ctx) {
+          var arg = ctx.args[0] || ".";
+          var path = vfs.normalize(arg, tty.cwd);
+          var node = vfs.stat(path);
+          if (!node || node.type !== "dir") {
+            ctx.error(arg + " [error opening dir]");
+            return;
+          }
+
+          var dirs = 0;
+          var files = 0;
+          ctx.print(arg);
+          (function walk(dir, indent) {
+            var names = Object.keys(dir.children).sort();
+            names.forEach(function (name, i) {
+              var last = i === names.length - 1;
+              var child = dir.children[name];
+              ctx.print(indent + (last ? "└── " : "├── ") + name);
+              if (child.type === "dir") {
+                dirs++;
+                walk(child, indent + (last ? "    " : "│   "));
+              } else {
+                files++;
+              }
+            });
+          })(node, "");
+          ctx.print("");
+          ctx.print(dirs + (dirs === 1 ? " directory, " : " directories, ") + files + (files === 1 ? " file" : " files"));
+        }
+      });
+
+      registerCommand({
+        name: "echo",
+        usage: "echo [text...]",
+        description: "Print its arguments",
+        complete: "none",
+        run: function (ctx) {
+          ctx.print(ctx.argv.join(" "));
+        }
+      });
+
+      registerCommand({
+        name: "grep",
+        usage: "grep [-i] [-v] [-n] [-c] <pattern> [file...]",
+        description: "Print lines matching a pattern",
+        run: function (ctx) {
+          if (!ctx.args.length) {
+            ctx.error("usage: " + this.usage);
+            return;
+          }
+
+          var pattern;
+          try {
+            pattern = new RegExp(ctx.args[0], ctx.flags.i ? "gi" : "g");
+          } catch (err) {
+            pattern = new RegExp(ctx.args[0].replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), ctx.flags.i ? "gi" : "g");
+          }
+
+          var lines = readInput(ctx, ctx.args.slice(1));
+          if (!lines) return;
+
+          var count = 0;
+          lines.forEach(function (line, i) {
+            pattern.lastIndex = 0;
+            var matched = pattern.test(line);
+            if (matched === Boolean(ctx.flags.v)) return;
+            count++;
+            if (ctx.flags.c) return;
+
+            var prefix = ctx.flags.n ? "[green]" + (i + 1) + "[/]:" : "";
+            var body = escapeMarkup(line);
+            if (!ctx.flags.v) {
+              pattern.lastIndex = 0;
+              body = line.replace(pattern, function (m) {
+                return m ? "\u0000" + m + "\u0001" : m;
+              });
+              body = escapeMarkup(body).replace(/\u0000/g, "[red][bold]").replace(/\u0001/g, "[/][/]");
+            }
+            ctx.printMarkup(prefix + body);
+          });
+
+          if (ctx.flags.c) ctx.print(String(count));
+          return count > 0 ? 0 : 1;
+        }
+      });
+
+      ["head", "tail"].forEach(function (name) {
+        registerCommand({
+          name: name,
+          usage: name + " [-n count] [file...]",
+          description: "Print the " + (name === "head" ? "first" : "last") + " lines of input (default 10)",
+          valueFlags: ["n"],
+          run: function (ctx) {
+            var count = ctx.flags.n === undefined ? 10 : parseInt(ctx.flags.n, 10);
+            if (isNaN(count) || count < 0) {
+              ctx.error(name + ": invalid number of lines: " + ctx.flags.n);
+              return;
+            }
+
+            var lines = readInput(ctx, ctx.args);
+            if (!lines) return;
+            var slice = name === "head" ? lines.slice(0, count) : lines.slice(Math.max(0, lines.length - count));
+            slice.forEach(ctx.print);
+          }
+        });
+      });
+
+      registerCommand({
+        name: "wc",
+        usage: "wc [-l] [-w] [-c] [file...]",
+        description: "Count lines, words and characters",
+        run: function (ctx) {
+          var lines = readInput(ctx, ctx.args);
+          if (!lines) return;
+
+          var text = lines.length ? lines.join("\n") + "\n" : "";
+          var counts = {
+            l: lines.length,
+            w: text.split(/\s+/).filter(Boolean).length,
+            c: text.length
+          };
+          var selected = ["l", "w", "c"].filter(function (f) { return ctx.flags[f]; });
+          if (selected.length === 0) selected = ["l", "w", "c"];
+
+          var row = selected.map(function (f) { return String(counts[f]).padStart(7); }).join(" ");
+          ctx.print(row + (ctx.args.length === 1 ? " " + ctx.args[0] : ""));
+        }
+      });
+
+      registerCommand({
+        name: "sort",
+        usage: "sort [-r] [-n] [-u] [file...]",
+        description: "Sort lines (reverse, numeric, unique)",
+        run: function (ctx) {
+          var lines = readInput(ctx, ctx.args);
+          if (!lines) return;
+
+          if (ctx.flags.n) {
+            lines.sort(function (a, b) { return (parseFloat(a) || 0) - (parseFloat(b) || 0); });
+          } else {
+            lines.sort(function (a, b) { return a.localeCompare(b); });
+          }
+          if (ctx.flags.r) lines.reverse();
+          if (ctx.flags.u) {
+            lines = lines.filter(function (line, i) { return i === 0 || line !== lines[i - 1]; });
+          }
+          lines.forEach(ctx.print);
+        }
+      });
+
+      registerCommand({
+        name: "sudo",
+        usage: "sudo <command>",
+        description: "Run a command as the superuser",
+        hidden: true,
+        run: function (ctx) {
+          if (ctx.argv.join(" ") !== "make me a sandwich") {
+            ctx.error("techieman is not in the sudoers file. This incident will be reported.");
+            return;
+          }
+
+          printNeofetch(ctx);
+        }
+      });
+
+      /**
+       * Shell builtins: variables, aliases, functions, scripts and tests.
+       * Definitions live in this terminal only (saved with its session);
+       * ~/.techiemanrc re-creates the usual ones on every visit.
+       */
+      function shellQuote(value) {
+        return /^[\w@%+=:,.\/-]+$/.test(value) ? value : "'" + value.replace(/'/g, "'\\''") + "'";
+      }
+
+      registerCommand({
+        name: "export",
+        usage: "export [NAME[=value]...]",
+        description: "Set shell variables (no arguments: list them)",
+        complete: "none",
+        run: function (ctx) {
+          if (!ctx.argv.length) {
+            Object.keys(shellVars).sort().forEach(function (name) {
+              ctx.print("declare -x " + name + '="' + shellVars[name].replace(/(["\\$])/g, "\\$1") + '"');
+            });
+            return;
+          }
+          ctx.argv.forEach(function (arg) {
+            var match = ASSIGNMENT.exec(arg);
+            if (match) shellVars[match[1]] = match[2];
+            else if (NAME.test(arg)) shellVars[arg] = getVar(arg);
+            else ctx.error("export: `" + arg + "': not a valid identifier");
+          });
+          updatePrompt();
+        }
+      });
+
+      registerCommand({
+        name: "unset",
+        usage: "unset [-f] <name...>",
+        description: "Remove shell variables (-f: functions)",
+        complete: "none",
+        run: function (ctx) {
+          ctx.args.forEach(function (name) {
+            if (!ctx.flags.f && Object.prototype.hasOwnProperty.call(shellVars, name)) delete shellVars[name];
+            else delete functions[name];
+          });
+          updatePrompt();
+        }
+      });
+
+      registerCommand({
+        name: "alias",
+        usage: "alias [name[=value]...]",
+        description: "Define command shortcuts (no arguments: list them)",
+        complete: "none",
+        run: function (ctx) {
+          var names = ctx.argv.length ? ctx.argv : Object.keys(aliases).sort();
+          names.forEach(function (arg) {
+            var eq = arg.indexOf("=");
+            if (eq > 0) {
+              var name = arg.slice(0, eq);
+              if (!FUNCTION_NAME.test(name)) ctx.error("alias: `" + name + "': invalid alias name");
+              else aliases[name] = arg.slice(eq + 1);
+            } else if (Object.prototype.hasOwnProperty.call(aliases, arg)) {
+              ctx.print("alias " + arg + "=" + shellQuote(aliases[arg]));
+            } else {
+              ctx.error("alias: " + arg + ": not found");
+            }
+          });
+        }
+      });
+
+      registerCommand({
+        name: "unalias",
+        usage: "unalias [-a] <name...>",
+        description: "Remove aliases (-a: all of them)",
+        complete: "none",
+        run: function (ctx) {
+          if (ctx.flags.a) {
+            aliases = {};
+            return;
+          }
+          if (!ctx.args.length) {
+            ctx.error("unalias: usage: " + this.usage);
+            return;
+          }
+          ctx.args.forEach(function (name) {
+            if (Object.prototype.hasOwnProperty.call(aliases, name)) delete aliases[name];
+            else ctx.error("unalias: " + name + ": not found");
+          });
+        }
+      });
+
+      registerCommand({
+        name: "source",
+        aliases: ["."],
+        usage: "source <file>",
+        description: "Run a script file in this shell",
+        run: function (ctx) {
+          if (!ctx.args.length) {
+            ctx.error(ctx.name + ": filename argument required");
+            return 2;
+          }
+          var node = vfs.stat(vfs.normalize(ctx.args[0], tty.cwd));
+          if (!node || node.type !== "file") {
+            ctx.error(ctx.name + ": " + ctx.args[0] + ": " + (node ? "Is a directory" : "No such file or directory"));
+            return 1;
+          }
+          return runScript(node.content, ctx.args[0]);
+        }
+      });
+
+      /**
+       * test / [ — exit status only: 0 true, 1 false, 2 bad expression.
+       * Reads ctx.argv directly since "-f" and friends are operands here.
+       */
+      function evaluateTest(argv) {
+        if (argv[0] === "!") return !evaluateTest(argv.slice(1));
+        if (argv.length === 0) return false;
+        if (argv.length === 1) return argv[0] !== "";
+
+        if (argv.length === 2) {
+          var node = vfs.stat(vfs.normalize(argv[1], tty.cwd));
+          switch (argv[0]) {
+            case "-z": return argv[1] === "";
+            case "-n": return argv[1] !== "";
+            case "-e": return Boolean(node);
+            case "-f": return Boolean(node) && node.type === "file";
+            case "-d": return Boolean(node) && node.type === "dir";
+            case "-s": return Boolean(node) && node.type === "file" && node.content.length > 0;
+          }
+        }
+
+        if (argv.length === 3) {
+          var left = argv[0];
+          var right = argv[2];
+          if (argv[1] === "=" || argv[1] === "==") return left === right;
+          if (argv[1] === "!=") return left !== right;
+
+          var numeric = { "-eq": 1, "-ne": 1, "-lt": 1, "-gt": 1, "-le": 1, "-ge": 1 };
+          if (numeric[argv[1]]) {
+            if (!/^-?\d+$/.test(left) || !/^-?\d+$/.test(right)) {
+              throw new Error("integer expression expected");
+            }
+            var a = parseInt(left, 10);
+            var b = parseInt(right, 10);
+            return { "-eq": a === b, "-ne": a !== b, "-lt": a < b, "-gt": a > b, "-le": a <= b, "-ge": a >= b }[argv[1]];
+          }
+        }
+
+        throw new Error(argv[argv.length === 3 ? 1 : 0] + ": unary or binary operator expected");
+      }
+
+      registerCommand({
+        name: "test",
+        aliases: ["["],
+        usage: "test <expression>",
+        description: "Check files and compare values (-f -d -e -z -n = != -eq -lt ...)",
+        run: function (ctx) {
+          var argv = ctx.argv;
+          if (ctx.name === "[") {
+            if (argv[argv.length - 1] !== "]") {
+              ctx.error("[: missing `]'");
+              return 2;
+            }
+            argv = argv.slice(0, -1);
+          }
+          try {
+            return evaluateTest(argv) ? 0 : 1;
+          } catch (err) {
+            ctx.error(ctx.name + ": " + err.message);
+            return 2;
+          }
+        }
+      });
+
+      registerCommand({
+        name: "true",
+        usage: "true",
+        description: "Do nothing, successfully",
+        hidden: true,
+        run: function () {
+          return 0;
+        }
+      });
+
+      registerCommand({
+        name: "false",
+        usage: "false",
+        description: "Do nothing, unsuccessfully",
+        hidden: true,
+        run: function () {
+          return 1;
+        }
+      });
+
+      var BANNER_ART = [
+        "  ______          _     _                         ",
+        " |  ____|        | |   (_)                        ",
+        " | |__ ___   ___ | |__  _  ___   _ __ ___   ___  ___ ",
+        " |  __/ _ \\ / _ \\| '_ \\| |/ _ \\ | |_ \\ _ \\ / _ \\/ __|",
+        " | | | (_) | (_) | (_) | |  __/ | | | | | | (_) \\__ \\",
+        " |_|  \\___/ \\___/|____/|_|\\___| |_| |_| |_|\\___/|___/"
+      ].join("\n");
+
+      registerCommand({
+        name: "banner",
+        usage: "banner",
+        description: "Print the techieman.os logo",
+        complete: "none",
+        run: function (ctx) {
+          ctx.printBlock(BANNER_ART, "terminal-banner");
+        }
+      });
+
+      /**
+       * Live system info: neofetch, uptime, date, whoami, ps/top and kill.
+       * Everything is read at run time (viewport, runningApps, z-order).
+       */
+      var NEOFETCH_ART = ["       █████████", "       █      █", "       █  OS  █"];
+
+      function processTime(ms) {
+        var seconds = Math.floor(ms / 1000);
+        return clock.pad2(Math.floor(seconds / 3600)) + ":" + clock.pad2(Math.floor(seconds / 60) % 60) + ":" + clock.pad2(seconds % 60);
+      }
+
+      function printNeofetch(ctx) {
+        var manifest = content.get();
+        var system = manifest ? manifest.system : {};
+        var user = manifest ? manifest.profile.user : "techieman";
+        var rows = [
+          ["OS", (system.os || "techieman.os") + (system.version ? " " + system.version : "")],
+          ["Host", system.host],
+          ["Kernel", system.kernel],
+          ["Uptime", uptime.describe(uptime.elapsed())],
+          ["Packages", system.packages],
+          ["Shell", system.shell],
+          ["Resolution", window.innerWidth + "x" + window.innerHeight],
+          ["WM", system.wm],
+          ["Theme", settings.describe("theme") + " (accent " + settings.describe("accent") + ")"],
+          ["Terminal", system.terminal],
+          ["Apps", runningApps.size + " running"],
+          ["Developer", manifest ? manifest.profile.name : null]
+        ].filter(function (row) {
+          return row[1];
+        }).map(function (row) {
+          return "[purple]" + row[0] + ":[/] " + escapeMarkup(String(row[1]));
+        });
+        var title = user + "@os";
+        rows = ["[bold][green]" + escapeMarkup(title) + "[/][/]", "-".repeat(title.length)].concat(rows);
+
+        rows.forEach(function (row, i) {
+          ctx.printMarkup("[green]" + (NEOFETCH_ART[i] || "").padEnd(22) + "[/]" + row);
+        });
+      }
+
+      /**
+       * Running apps, topmost window first.
+       */
+      function processList() {
+        return Array.from(runningApps).map(function (appId) {
+          var win = getWindowEl(appId);
+          var info = processOf(appId);
+          var minimized = win.classList.contains("is-minimized");
+          return {
+            appId: appId,
+            pid: info.pid,
+            z: parseInt(win.style.zIndex, 10) || 0,
+            stat: minimized ? "T" : appId === currentAppId ? "R+" : "S",
+            time: processTime(Date.now() - info.started),
+            title: apps[appId] ? apps[appId].title : appId
+          };
+        }).sort(function (a, b) {
+          return b.z - a.z;
+        });
+      }
+
+      function printProcesses(ctx) {
+        ctx.printMarkup("[bold]    PID STAT      Z     TIME COMMAND[/]");
+        processList().forEach(function (proc) {
+          var line = String(proc.pid).padStart(7) + " " + proc.stat.padEnd(4) + String(proc.z).padStart(7) + " " + proc.time + " " + proc.appId;
+          ctx.printMarkup(proc.stat === "R+" ? "[green]" + line + "[/]" : proc.stat === "T" ? "[dim]" + line + "[/]" : line);
+        });
+      }
+
+      registerCommand({
+        name: "neofetch",
+        usage: "neofetch",
+        description: "Show system information",
+        complete: "none",
+        run: printNeofetch
+      });
+
+      registerCommand({
+        name: "uptime",
+        usage: "uptime [-p] [-s]",
+        description: "Show how long the system has been running (-p pretty, -s since)",
+        complete: "none",
+        run: function (ctx) {
+          var elapsed = uptime.elapsed();
+          if (ctx.flags.s) {
+            ctx.print(clock.strftime(new Date(uptime.startTime), "%F %T"));
+          } else if (ctx.flags.p) {
+            ctx.print("up " + uptime.describe(elapsed));
+          } else {
+            var minutes = Math.floor(elapsed / 60000);
+            var up = minutes < 60 ? minutes + " min" : Math.floor(minutes / 60) + ":" + clock.pad2(minutes % 60);
+            ctx.print(" " + clock.strftime(new Date(), "%T") + " up " + up + ",  1 user,  " + runningApps.size + " apps running");
+          }
+        }
+      });
+
+      registerCommand({
+        name: "date",
+        usage: "date [-u] [-I | -R | +FORMAT]",
+        description: "Print the date (+FORMAT takes %Y %m %d %H %M %S %a %b ...)",
+        complete: "none",
+        run: function (ctx) {
+          var format = "%a %b %e %H:%M:%S %Z %Y";
+          if (ctx.flags.I) format = "%F";
+          if (ctx.flags.R) format = "%a, %d %b %Y %H:%M:%S %z";
+          if (ctx.args.length) {
+            if (ctx.args.length > 1 || ctx.args[0].charAt(0) !== "+") {
+              ctx.error("date: invalid date '" + ctx.args.join(" ") + "' (formats start with +)");
+              return;
+            }
+            format = ctx.args[0].slice(1);
+          }
+          splitLines(clock.strftime(new Date(), format, Boolean(ctx.flags.u))).forEach(ctx.print);
+        }
+      });
+
+      registerCommand({
+        name: "whoami",
+        usage: "whoami",
+        description: "Print the current user name",
+        complete: "none",
+        run: function (ctx) {
+          var manifest = content.get();
+          ctx.print(manifest ? manifest.profile.user : "techieman");
+        }
+      });
+
+      registerCommand({
+        name: "ps",
+        usage: "ps",
+        description: "List running apps (STAT: R+ focused, S background, T minimized)",
+        complete: "none",
+        run: printProcesses
+      });
+
+      registerCommand({
+        name: "top",
+        usage: "top",
+        description: "Snapshot of the system and running apps by z-order",
+        complete: "none",
+        run: function (ctx) {
+          var list = processList();
+          ctx.print("top - " + clock.strftime(new Date(), "%T") + " up " + uptime.describe(uptime.elapsed()) + ",  1 user");
+          ctx.print("Apps: " + list.length + " total, " +
+            list.filter(function (p) { return p.stat === "R+"; }).length + " focused, " +
+            list.filter(function (p) { return p.stat === "S"; }).length + " background, " +
+            list.filter(function (p) { return p.stat === "T"; }).length + " minimized");
+          ctx.print("Display: " + window.innerWidth + "x" + window.innerHeight + ", theme " + settings.get("theme"));
+          ctx.print("");
+          printProcesses(ctx);
+        }
+      });
+
+      registerCommand({
+        name: "kill",
+        usage: "kill <app|pid>...",
+        description: "Close running apps by id or PID",
+        complete: "apps",
+        run: function (ctx) {
+          if (!ctx.args.length) {
+            ctx.error("kill: usage: kill <app|pid>...");
+            return;
+          }
+          var targets = [];
+          ctx.args.forEach(function (arg) {
+            var proc = processList().find(function (p) {
+              return p.appId === arg.toLowerCase() || String(p.pid) === arg;
+            });
+            if (proc) targets.push(proc.appId);
+            else ctx.error("kill: (" + arg + ") - No such process");
+          });
+
+          // closeApp() ignores calls while a window animates; queue them.
+          (function next() {
+            if (!targets.length) return;
+            if (isAnimating) {
+              window.setTimeout(next, 50);
+              return;
+            }
+            closeApp(targets.shift(), next);
+          })();
+        }
+      });
+
+      /**
+       * Command history
+       * - Each session keeps its own list. Every command is also appended
+       *   to the one in localStorage (last HISTORY_LIMIT entries), which new
+       *   sessions start from.
+       * - Up/Down recall; the line being typed is kept as a draft.
+       * - `!!`, `!n`, `!-n` and `!prefix` re-run earlier commands.
+       */
+      var HISTORY_KEY = "techieman.os:history";
+      var HISTORY_LIMIT = 500;
+
+      function loadHistory() {
+        try {
+          var saved = JSON.parse(window.localStorage.getItem(HISTORY_KEY));
+          return Array.isArray(saved) ? saved : [];
+        } catch (err) {
+          return [];
+        }
+      }
+
+      function saveHistory(history) {
+        try {
+          window.localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (err) {
+          // Storage full or disabled: history just won't survive a reload.
+        }
+      }
+
+      function addHistory(line) {
+        if (line && tty.history[tty.history.length - 1] !== line) {
+          tty.history.push(line);
+          if (tty.history.length > HISTORY_LIMIT) tty.history.splice(0, tty.history.length - HISTORY_LIMIT);
+          var shared = loadHistory();
+          if (shared[shared.length - 1] !== line) shared.push(line);
+          saveHistory(shared.slice(-HISTORY_LIMIT));
+        }
+        tty.historyIndex = tty.history.length;
+        tty.historyDraft = "";
+      }
+
+      /**
+       * Expands a leading history designator. Returns the expanded line,
+       * or throws if the referenced event doesn't exist.
+       */
+      function expandHistory(line) {
+        var match = /^!(!|-?\d+|[^\s!]+)(.*)$/.exec(line);
+        if (!match) return line;
+
+        var designator = match[1];
+        var entry;
+        if (designator === "!") {
+          entry = tty.history[tty.history.length - 1];
+        } else if (/^-?\d+$/.test(designator)) {
+          var n = parseInt(designator, 10);
+          entry = n < 0 ? tty.history[tty.history.length + n] : tty.history[n - 1];
+        } else {
+          for (var i = tty.history.length - 1; i >= 0 && entry === undefined; i--) {
+            if (tty.history[i].indexOf(designator) === 0) entry = tty.history[i];
+          }
+        }
+
+        if (entry === undefined) throw new Error("!" + designator + ": event not found");
+        return entry + match[2];
+      }
+
+      function recallHistory(step) {
+        var next = tty.historyIndex + step;
+        if (next < 0 || next > tty.history.length) return;
+        if (tty.historyIndex === tty.history.length) tty.historyDraft = tty.term.input.value;
+        tty.historyIndex = next;
+        tty.term.input.value = next === tty.history.length ? tty.historyDraft : tty.history[next];
+        moveCaretToEnd();
+      }
+
+      function moveCaretToEnd() {
+        var end = tty.term.input.value.length;
+        tty.term.input.setSelectionRange(end, end);
+      }
+
+      registerCommand({
+        name: "history",
+        usage: "history [-c] [count]",
+        description: "Show numbered command history (-c clears it)",
+        run: function (ctx) {
+          if (ctx.flags.c) {
+            tty.history = [];
+            tty.historyIndex = 0;
+            saveHistory([]);
+            return;
+          }
+          var count = parseInt(ctx.args[0], 10);
+          var start = count > 0 ? Math.max(0, tty.history.length - count) : 0;
+          for (var i = start; i < tty.history.length; i++) {
+            ctx.print(String(i + 1).padStart(5) + "  " + tty.history[i]);
+          }
+        }
+      });
+
+      /**
+       * Reverse incremental search (Ctrl+R)
+       * - While active, the input holds the query and the prompt shows the match.
+       * - Ctrl+R again: next older match. Enter: run it. Esc/arrows: edit it. Ctrl+G: cancel.
+       */
+      // tty.search is { index, match } while that session is searching.
+
+      function findHistory(query, before) {
+        for (var i = before - 1; i >= 0; i--) {
+          if (tty.history[i].indexOf(query) !== -1) return i;
+        }
+        return -1;
+      }
+
+      function renderSearch(failed) {
+        tty.term.prompt.textContent = (failed ? "(failed reverse-i-search)" : "(reverse-i-search)") + ":";
+        tty.term.searchMatch.textContent = tty.search.match;
+      }
+
+      function updateSearch(fromIndex) {
+        var query = tty.term.input.value;
+        var index = query ? findHistory(query, fromIndex) : -1;
+        if (index !== -1) {
+          tty.search.index = index;
+          tty.search.match = tty.history[index];
+        } else if (!query) {
+          tty.search.match = "";
+        }
+        renderSearch(query !== "" && index === -1);
+      }
+
+      function startSearch() {
+        tty.search = { index: tty.history.length, match: "" };
+        tty.historyDraft = tty.term.input.value;
+        tty.term.input.value = "";
+        renderSearch(false);
+      }
+
+      function endSearch(value) {
+        tty.search = null;
+        tty.term.searchMatch.textContent = "";
+        updatePrompt();
+        tty.term.input.value = value;
+        moveCaretToEnd();
+      }
+
+
+      /**
+       * Tab completion
+       * - First word: command names and aliases.
+       * - Arguments: per command `complete` ("commands" | "apps" | "projects" | "dirs" | "paths" | "none").
+       * - Unique match completes; ambiguous matches complete the common
+       *   prefix, or list the candidates when there is nothing more to add.
+       */
+      function appIds() {
+        return Array.from(document.querySelectorAll("[data-launch-app]")).map(function (el) {
+          return el.getAttribute("data-launch-app");
+        });
+      }
+
+      function pathCandidates(word, dirsOnly) {
+        var slash = word.lastIndexOf("/");
+        var dirPart = slash === -1 ? "" : word.slice(0, slash + 1);
+        var base = slash === -1 ? word : word.slice(slash + 1);
+        var dirPath = vfs.normalize(dirPart || ".", tty.cwd);
+        var names = vfs.list(dirPath) || [];
+        var dir = vfs.stat(dirPath);
+
+        return names.filter(function (name) {
+          return name.indexOf(base) === 0 && (!dirsOnly || dir.children[name].type === "dir");
+        }).map(function (name) {
+          return dirPart + name + (dir.children[name].type === "dir" ? "/" : "");
+        });
+      }
+
+      function completionCandidates(argv, word) {
+        if (argv.length === 0) {
+          return Object.keys(commands).concat(Object.keys(commandAliases)).filter(function (name) {
+            return !findCommand(name).hidden;
+          }).concat(Object.keys(aliases), Object.keys(functions)).filter(function (name, i, names) {
+            return name.indexOf(word) === 0 && names.indexOf(name) === i;
+          }).sort();
+        }
+
+        var command = findCommand(argv[0]);
+        var kind = command ? command.complete || "paths" : "paths";
+        if (/^>>?$/.test(argv[argv.length - 1])) kind = "paths";
+        var pool;
+        if (kind === "commands") pool = completionCandidates([], word);
+        else if (kind === "apps") pool = appIds();
+        else if (kind === "projects") pool = content.projects().map(function (entry) { return entry.project.slug; });
+        else if (kind === "dirs") return pathCandidates(word, true);
+        else if (kind === "paths") return pathCandidates(word, false);
+        else pool = [];
+
+        return pool.filter(function (candidate) {
+          return candidate.indexOf(word) === 0;
+        });
+      }
+
+      function commonPrefix(words) {
+        return words.reduce(function (prefix, word) {
+          var i = 0;
+          while (i < prefix.length && prefix[i] === word[i]) i++;
+          return prefix.slice(0, i);
+        });
+      }
+
+      function completeInput() {
+        var caret = tty.term.input.selectionStart;
+        var before = tty.term.input.value.slice(0, caret);
+        var after = tty.term.input.value.slice(caret);
+        var segment = before.split(/\|\||&&|[|;]/).pop(); // complete within the current command
+        var segmentStart = before.length - segment.length;
+        var wordStart = segmentStart + Math.max(segment.lastIndexOf(" "), segment.lastIndexOf("\t")) + 1;
+        var word = before.slice(wordStart);
+        var argv = before.slice(segmentStart, wordStart).trim().split(/\s+/).filter(Boolean);
+
+        var candidates = completionCandidates(argv, word);
+        if (candidates.length === 0) return;
+
+        var completion = candidates.length === 1 ? candidates[0] : commonPrefix(candidates);
+        if (candidates.length === 1 && completion.slice(-1) !== "/") completion += " ";
+
+        if (completion.length > word.length) {
+          tty.term.input.value = before.slice(0, wordStart) + completion + after;
+          var pos = wordStart + completion.length;
+          tty.term.input.setSelectionRange(pos, pos);
+        } else if (candidates.length > 1) {
+          echoCommand(tty.term.input.value);
+          printLine(candidates.map(function (candidate) {
+            return candidate.replace(/^.*\/(?=.)/, ""); // basename, keeping a trailing "/"
+          }).join("  "));
+          scrollToEnd();
+        }
+      }
+
+      registerCommand({
+        name: "open",
+        usage: "open <app>",
+        description: "Open an app window by id",
+        complete: "apps",
+        run: function (ctx) {
+          var appId = ctx.args[0];
+          if (!appId) {
+            ctx.error("open: missing app id (one of: " + appIds().join(", ") + ")");
+          } else if (appIds().indexOf(appId) === -1) {
+            ctx.error("open: unknown app: " + appId);
+          } else {
+            ctx.print("Opening " + appId + "...");
+            showApp(appId);
+          }
+        }
+      });
+
+      function echoCommand(cmd) {
+        var line = document.createElement("div");
+        var prompt = document.createElement("span");
+        prompt.className = "terminal-prompt";
+        prompt.textContent = promptText();
+        line.appendChild(prompt);
+        line.appendChild(document.createTextNode(" " + cmd));
+        tty.output.appendChild(line);
+      }
+
+      /**
+       * Full-screen programs: games and toys
+       * - startProgram() hands a session's keyboard to a program until it
+       *   quits: keys go to program.key() and the prompt line is hidden (it
+       *   keeps focus, so keys still arrive). q or Ctrl+C quits.
+       * - The program draws markup into its own <pre class="terminal-screen">,
+       *   which goes away on quit like a real terminal's alternate screen
+       *   and is never saved with the scrollback.
+       * - tick() runs every program.interval ms while the session is on
+       *   screen in the focused window (the game pauses otherwise) and
+       *   returns false when the program is done.
+       * - Games keep their best score in localStorage.
+       */
+      var SCORES_KEY = "techieman.os:scores"; // { game: best score }
+
+      function loadScores() {
+        try {
+          var saved = JSON.parse(window.localStorage.getItem(SCORES_KEY));
+          return saved && typeof saved === "object" ? saved : {};
+        } catch (err) {
+          return {};
+        }
+      }
+
+      function bestScore(game) {
+        var best = loadScores()[game];
+        return typeof best === "number" ? best : 0;
+      }
+
+      // Returns true when `score` is a new best.
+      function recordScore(game, score) {
+        if (score <= bestScore(game)) return false;
+        var scores = loadScores();
+        scores[game] = score;
+        try {
+          window.localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+        } catch (err) {
+          // Storage full or disabled: the score only lasts for this visit.
+        }
+        return true;
+      }
+
+      function scoreSummary(game, score, isBest) {
+        return "[bold]" + game + "[/]: score " + score + (isBest ? " [yellow]New high score![/]" : " (best " + bestScore(game) + ")");
+      }
+
+      // Character cells that fit in the session's window.
+      function screenSize(shell, screen) {
+        var probe = document.createElement("span");
+        probe.textContent = "0000000000";
+        screen.appendChild(probe);
+        var cell = probe.getBoundingClientRect();
+        probe.remove();
+        var body = shell.term.body;
+        if (!cell.width || !cell.height || !body.clientWidth) return { cols: 64, rows: 20 };
+        return {
+          cols: Math.max(20, Math.min(160, Math.floor((body.clientWidth - 32) / (cell.width / 10)))),
+          rows: Math.max(10, Math.min(50, Math.floor((body.clientHeight - 32) / cell.height) - 1))
+        };
+      }
+
+      // `create(size)` builds the program once the screen is in place.
+      function startProgram(ctx, create) {
+        var shell = tty;
+        if (!ctx.interactive) {
+          ctx.error(ctx.name + ": needs a terminal (it cannot be piped or redirected)");
+          return 1;
+        }
+        if (shell.program) {
+          ctx.error(ctx.name + ": " + shell.program.name + " is already running");
+          return 1;
+        }
+
+        var screen = document.createElement("pre");
+        screen.className = "terminal-screen";
+        screen.setAttribute("role", "img");
+        screen.setAttribute("aria-label", ctx.name + " (q to quit)");
+        shell.output.appendChild(screen);
+
+        var program = create(screenSize(shell, screen));
+        program.name = ctx.name;
+        program.screen = screen;
+        if (program.className) screen.classList.add(program.className);
+        shell.program = program;
+        if (program.interval) {
+          program.timer = window.setInterval(function () {
+            var term = shell.term;
+            if (term.active !== shell || !term.win.classList.contains("is-focused") || document.hidden) return;
+            if (program.tick() === false) stopProgram(shell);
+            else drawProgram(program);
+          }, program.interval);
+        }
+
+        drawProgram(program);
+        updateCapture(shell.term);
+        updatePrompt();
+        scrollToEnd(shell);
+        return 0;
+      }
+
+      function drawProgram(program) {
+        program.screen.textContent = "";
+        renderMarkup(program.render(), program.screen);
+      }
+
+      function stopProgram(shell, interrupted) {
+        var program = shell.program;
+        if (!program) return;
+        shell.program = null;
+        window.clearInterval(program.timer);
+        program.screen.remove();
+        var summary = program.stop ? program.stop() : null;
+        withShell(shell, function () {
+          if (interrupted) printLine("^C");
+          if (summary) printMarkup(summary);
+        });
+        updateCapture(shell.term);
+        updatePrompt();
+        scrollToEnd(shell);
+        session.scheduleSave();
+      }
+
+      // The prompt line hides (keeping focus) while a program has the keyboard.
+      function updateCapture(term) {
+        term.input.parentNode.classList.toggle("is-captured", Boolean(term.active && term.active.program));
+      }
+
+      function onProgramKeydown(e) {
+        var shell = tty;
+        if (e.altKey || e.metaKey) return;
+        if (e.ctrlKey) {
+          // Other Ctrl shortcuts (tabs, windows) still work.
+          if (!e.shiftKey && e.key.toLowerCase() === "c") {
+            e.preventDefault();
+            stopProgram(shell, true);
+          }
+          return;
+        }
+
+        e.preventDefault();
+        var key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        if (key === "q") {
+          stopProgram(shell);
+        } else if (shell.program.key) {
+          shell.program.key(key);
+          drawProgram(shell.program);
+        }
+      }
+
+      var ARROWS = {
+        ArrowUp: "up", w: "up", k: "up",
+        ArrowDown: "down", s: "down", j: "down",
+        ArrowLeft: "left", a: "left", h: "left",
+        ArrowRight: "right", d: "right", l: "right"
+      };
+
+      /**
+       * snake: eat the red blocks, don't bite yourself or the wall.
+       * Up to two turns are queued per step so quick corners register.
+       */
+      function snakeGame() {
+        var W = 20;
+        var H = 12;
+        var STEPS = { up: [0, -1], down: [0, 1], left: [-1, 0], right: [1, 0] };
+        var state;
+
+        function reset() {
+          state = { body: [[5, 6], [4, 6], [3, 6]], dir: STEPS.right, turns: [], food: null, score: 0, over: false, paused: false, isBest: false };
+          placeFood();
+        }
+
+        function occupied(x, y) {
+          return state.body.some(function (cell) {
+            return cell[0] === x && cell[1] === y;
+          });
+        }
+
+        function placeFood() {
+          var free = [];
+          for (var y = 0; y < H; y++) {
+            for (var x = 0; x < W; x++) {
+              if (!occupied(x, y)) free.push([x, y]);
+            }
+          }
+          state.food = free.length ? free[Math.floor(Math.random() * free.length)] : null;
+        }
+
+        function finish() {
+          state.over = true;
+          state.isBest = recordScore("snake", state.score) || state.isBest;
+        }
+
+        reset();
+        return {
+          interval: 120,
+          tick: function () {
+            if (state.over || state.paused) return;
+            if (state.turns.length) state.dir = state.turns.shift();
+            var head = [state.body[0][0] + state.dir[0], state.body[0][1] + state.dir[1]];
+            var eats = state.food && head[0] === state.food[0] && head[1] === state.food[1];
+            if (!eats) state.body.pop();
+            if (head[0] < 0 || head[1] < 0 || head[0] >= W || head[1] >= H || occupied(head[0], head[1])) {
+              finish();
+              return;
+            }
+            state.body.unshift(head);
+            if (eats) {
+              state.score += 10;
+              placeFood();
+              if (!state.food) finish();
+            }
+          },
+          key: function (key) {
+            if (state.over) {
+              if (key === "r") reset();
+              return;
+            }
+            if (key === "p" || key === " ") {
+              state.paused = !state.paused;
+              return;
+            }
+            var dir = STEPS[ARROWS[key]];
+            var last = state.turns.length ? state.turns[state.turns.length - 1] : state.dir;
+            if (!dir || state.turns.length >= 2 || dir[0] === -last[0] || dir[1] === -last[1]) return;
+            state.turns.push(dir);
+          },
+          render: function () {
+            var lines = ["┌" + "─".repeat(W * 2) + "┐"];
+            for (var y = 0; y < H; y++) {
+              var row = "";
+              for (var x = 0; x < W; x++) {
+                if (x === state.body[0][0] && y === state.body[0][1]) row += "[bold][green]██[/][/]";
+                else if (occupied(x, y)) row += "[green]██[/]";
+                else if (state.food && x === state.food[0] && y === state.food[1]) row += "[red]██[/]";
+                else row += "  ";
+              }
+              lines.push("│" + row + "│");
+            }
+            lines.push("└" + "─".repeat(W * 2) + "┘");
+            lines.push("Score: " + state.score + "   Best: " + Math.max(bestScore("snake"), state.score));
+            if (state.over) lines.push("[red]Game over![/] r: play again   q: quit");
+            else if (state.paused) lines.push("[yellow]Paused[/]   p: resume   q: quit");
+            else lines.push("[dim]arrows/WASD: steer   p: pause   q: quit[/]");
+            return lines.join("\n");
+          },
+          stop: function () {
+            if (!state.over) finish();
+            return scoreSummary("snake", state.score, state.isBest);
+          }
+        };
+      }
+
+      /**
+       * 2048: slide the tiles, equal ones merge; reach 2048 (then keep going).
+       */
+      function game2048() {
+        var SIZE = 4;
+        var state;
+
+        function reset() {
+          state = { grid: [], score: 0, over: false, won: false, isBest: false };
+          for (var i = 0; i < SIZE * SIZE; i++) state.grid.push(0);
+          spawn();
+          spawn();
+        }
+
+        function spawn() {
+          var empty = [];
+          state.grid.forEach(function (value, i) {
+            if (!value) empty.push(i);
+          });
+          if (empty.length) state.grid[empty[Math.floor(Math.random() * empty.length)]] = Math.random() < 0.9 ? 2 : 4;
+        }
+
+        // Cell indexes of each row/column, ordered from the edge tiles slide to.
+        function lines(direction) {
+          var result = [];
+          for (var a = 0; a < SIZE; a++) {
+            var line = [];
+            for (var b = 0; b < SIZE; b++) {
+              var along = direction === "right" || direction === "down" ? SIZE - 1 - b : b;
+              line.push(direction === "left" || direction === "right" ? a * SIZE + along : along * SIZE + a);
+            }
+            result.push(line);
+          }
+          return result;
+        }
+
+        function slide(direction) {
+          var moved = false;
+          lines(direction).forEach(function (line) {
+            var tiles = line.map(function (i) { return state.grid[i]; }).filter(Boolean);
+            var merged = [];
+            for (var i = 0; i < tiles.length; i++) {
+              if (tiles[i] === tiles[i + 1]) {
+                merged.push(tiles[i] * 2);
+                state.score += tiles[i] * 2;
+                if (tiles[i] * 2 === 2048 && !state.won) state.won = true;
+                i++;
+              } else {
+                merged.push(tiles[i]);
+              }
+            }
+            line.forEach(function (cell, j) {
+              var value = merged[j] || 0;
+              if (state.grid[cell] !== value) moved = true;
+              state.grid[cell] = value;
+            });
+          });
+          return moved;
+        }
+
+        function canMove() {
+          return state.grid.some(function (value, i) {
+            var x = i % SIZE;
+            return !value || (x < SIZE - 1 && state.grid[i + 1] === value) || state.grid[i + SIZE] === value;
+          });
+        }
+
+        function tile(value) {
+          if (!value) return "      ";
+          var text = String(value);
+          var left = Math.floor((6 - text.length) / 2);
+          text = " ".repeat(left) + text + " ".repeat(6 - left - text.length);
+          if (value <= 4) return text;
+          if (value <= 64) return "[yellow]" + text + "[/]";
+          if (value <= 512) return "[cyan]" + text + "[/]";
+          return "[bold][purple]" + text + "[/][/]";
+        }
+
+        function rule(left, mid, right) {
+          return left + new Array(SIZE).fill("──────").join(mid) + right;
+        }
+
+        reset();
+        return {
+          key: function (key) {
+            if (key === "r" && state.over) {
+              reset();
+              return;
+            }
+            if (state.over || !ARROWS[key]) return;
+            if (slide(ARROWS[key])) spawn();
+            if (!canMove()) {
+              state.over = true;
+              state.isBest = recordScore("2048", state.score) || state.isBest;
+            }
+          },
+          render: function () {
+            var lines = [rule("┌", "┬", "┐")];
+            for (var y = 0; y < SIZE; y++) {
+              if (y) lines.push(rule("├", "┼", "┤"));
+              lines.push("│" + state.grid.slice(y * SIZE, (y + 1) * SIZE).map(tile).join("│") + "│");
+            }
+            lines.push(rule("└", "┴", "┘"));
+            lines.push("Score: " + state.score + "   Best: " + Math.max(bestScore("2048"), state.score));
+            if (state.over) lines.push("[red]No moves left![/] r: play again   q: quit");
+            else if (state.won) lines.push("[yellow]You made 2048![/] Keep going, or q to quit");
+            else lines.push("[dim]arrows/WASD: slide   q: quit[/]");
+            return lines.join("\n");
+          },
+          stop: function () {
+            state.isBest = recordScore("2048", state.score) || state.isBest;
+            return scoreSummary("2048", state.score, state.isBest);
+          }
+        };
+      }
+
+      /**
+       * tetris: 7-bag pieces, wall kicks on rotation, NES-style line
+       * scores times the level; the level (and speed) goes up every 10 lines.
+       */
+      function tetrisGame() {
+        var W = 10;
+        var H = 20;
+        var PIECES = {
+          I: { style: "cyan", rows: ["....", "####", "....", "...."] },
+          O: { style: "yellow", rows: ["##", "##"] },
+          T: { style: "purple", rows: [".#.", "###", "..."] },
+          S: { style: "green", rows: [".##", "##.", "..."] },
+          Z: { style: "red", rows: ["##.", ".##", "..."] },
+          J: { style: "blue", rows: ["#..", "###", "..."] },
+          L: { style: "bold", rows: ["..#", "###", "..."] }
+        };
+        var LINE_SCORES = [0, 40, 100, 300, 1200];
+        var state;
+
+        function reset() {
+          state = { board: [], bag: [], piece: null, next: null, score: 0, lines: 0, frames: 0, over: false, paused: false, isBest: false };
+          for (var y = 0; y < H; y++) state.board.push(new Array(W).fill(null));
+          state.next = draw();
+          spawn();
+        }
+
+        function level() {
+          return 1 + Math.floor(state.lines / 10);
+        }
+
+        function draw() {
+          if (!state.bag.length) {
+            state.bag = Object.keys(PIECES);
+            for (var i = state.bag.length - 1; i > 0; i--) {
+              var j = Math.floor(Math.random() * (i + 1));
+              var swap = state.bag[i];
+              state.bag[i] = state.bag[j];
+              state.bag[j] = swap;
+            }
+          }
+          var type = state.bag.pop();
+          return {
+            type: type,
+            cells: PIECES[type].rows.map(function (row) {
+              return row.split("").map(function (ch) { return ch === "#"; });
+            })
+          };
+        }
+
+        function spawn() {
+          state.piece = state.next;
+          state.piece.x = Math.floor((W - state.piece.cells.length) / 2);
+          state.piece.y = 0;
+          state.next = draw();
+          if (collides(state.piece.cells, state.piece.x, state.piece.y)) finish();
+        }
+
+        function collides(cells, px, py) {
+          return cells.some(function (row, y) {
+            return row.some(function (filled, x) {
+              if (!filled) return false;
+              var bx = px + x;
+              var by = py + y;
+              return bx < 0 || bx >= W || by >= H || (by >= 0 && state.board[by][bx] !== null);
+            });
+          });
+        }
+
+        function move(dx, dy) {
+          if (collides(state.piece.cells, state.piece.x + dx, state.piece.y + dy)) return false;
+          state.piece.x += dx;
+          state.piece.y += dy;
+          return true;
+        }
+
+        function rotate(clockwise) {
+          var cells = state.piece.cells;
+          var n = cells.length;
+          var turned = cells.map(function (row, y) {
+            return row.map(function (filled, x) {
+              return clockwise ? cells[n - 1 - x][y] : cells[x][n - 1 - y];
+            });
+          });
+          var kick = [0, -1, 1, -2, 2].find(function (dx) {
+            return !collides(turned, state.piece.x + dx, state.piece.y);
+          });
+          if (kick === undefined) return;
+          state.piece.cells = turned;
+          state.piece.x += kick;
+        }
+
+        function lock() {
+          state.piece.cells.forEach(function (row, y) {
+            row.forEach(function (filled, x) {
+              if (filled && state.piece.y + y >= 0) state.board[state.piece.y + y][state.piece.x + x] = state.piece.type;
+            });
+          });
+          var kept = state.board.filter(function (row) {
+            return row.some(function (cell) { return cell === null; });
+          });
+          var cleared = H - kept.length;
+          while (kept.length < H) kept.unshift(new Array(W).fill(null));
+          state.board = kept;
+          state.score += LINE_SCORES[cleared] * level();
+          state.lines += cleared;
+          spawn();
+        }
+
+        function finish() {
+          state.over = true;
+          state.isBest = recordScore("tetris", state.score) || state.isBest;
+        }
+
+        function pieceAt(x, y) {
+          var piece = state.piece;
+          var row = piece.cells[y - piece.y];
+          return row && row[x - piece.x] ? piece.type : null;
+        }
+
+        function block(type) {
+          return type ? "[" + PIECES[type].style + "]██[/]" : "[dim] .[/]";
+        }
+
+        reset();
+        return {
+          interval: 50,
+          tick: function () {
+            if (state.over || state.paused) return;
+            state.frames++;
+            if (state.frames < Math.max(1, 11 - level())) return;
+            state.frames = 0;
+            if (!move(0, 1)) lock();
+          },
+          key: function (key) {
+            if (state.over) {
+              if (key === "r") reset();
+              return;
+            }
+            if (key === "p") {
+              state.paused = !state.paused;
+              return;
+            }
+            if (state.paused) return;
+            var direction = ARROWS[key];
+            if (direction === "left" || direction === "right") {
+              move(direction === "left" ? -1 : 1, 0);
+            } else if (direction === "up" || key === "x") {
+              rotate(true);
+            } else if (key === "z") {
+              rotate(false);
+            } else if (direction === "down") {
+              if (move(0, 1)) state.score += 1;
+              else lock();
+              state.frames = 0;
+            } else if (key === " ") {
+              while (move(0, 1)) state.score += 2;
+              lock();
+              state.frames = 0;
+            }
+          },
+          render: function () {
+            var preview = state.next.cells.map(function (row) {
+              return row.map(function (filled) { return filled ? block(state.next.type) : "  "; }).join("");
+            });
+            var side = ["Next:"].concat(preview, [
+              "",
+              "Score: " + state.score,
+              "Lines: " + state.lines,
+              "Level: " + level(),
+              "Best:  " + Math.max(bestScore("tetris"), state.score),
+              "",
+              state.over ? "[red]Game over![/]" : state.paused ? "[yellow]Paused[/]" : "",
+              state.over ? "r: play again" : "[dim]←/→: move[/]",
+              state.over ? "q: quit" : "[dim]↑/x, z: rotate[/]",
+              state.over ? "" : "[dim]↓: soft drop[/]",
+              state.over ? "" : "[dim]space: hard drop[/]",
+              state.over ? "" : "[dim]p: pause   q: quit[/]"
+            ]);
+            var lines = [];
+            for (var y = 0; y < H; y++) {
+              var row = "";
+              for (var x = 0; x < W; x++) row += block(state.board[y][x] || (state.over ? null : pieceAt(x, y)));
+              lines.push("│" + row + "│  " + (side[y] || ""));
+            }
+            lines.push("└" + "─".repeat(W * 2) + "┘");
+            return lines.join("\n");
+          },
+          stop: function () {
+            if (!state.over) finish();
+            return scoreSummary("tetris", state.score, state.isBest);
+          }
+        };
+      }
+
+      /**
+       * cmatrix: falling green code, sized to the window.
+       */
+      function matrixRain(size) {
+        var GLYPHS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ$+-*/=%#&@<>?!|{}";
+        var grid = [];
+        var drops = [];
+
+        function glyph() {
+          return GLYPHS.charAt(Math.floor(Math.random() * GLYPHS.length));
+        }
+
+        function newDrop(drop, start) {
+          drop.length = 4 + Math.floor(Math.random() * size.rows / 2);
+          drop.y = start ? -Math.floor(Math.random() * size.rows * 2) : -drop.length;
+          drop.speed = 1 + Math.floor(Math.random() * 3); // moves every `speed` ticks
+          return drop;
+        }
+
+        for (var y = 0; y < size.rows; y++) {
+          grid.push([]);
+          for (var x = 0; x < size.cols; x++) grid[y].push(glyph());
+        }
+        for (var c = 0; c < size.cols; c++) drops.push(newDrop({}, true));
+        var ticks = 0;
+
+        return {
+          interval: 60,
+          className: "term-green",
+          tick: function () {
+            ticks++;
+            drops.forEach(function (drop) {
+              if (ticks % drop.speed === 0 && ++drop.y - drop.length > size.rows) newDrop(drop, false);
+            });
+            for (var i = 0; i < size.cols; i++) {
+              grid[Math.floor(Math.random() * size.rows)][Math.floor(Math.random() * size.cols)] = glyph();
+            }
+          },
+          render: function () {
+            return grid.map(function (row, y) {
+              var line = "";
+              var style = null;
+              row.forEach(function (ch, x) {
+                var behind = drops[x].y - y;
+                var next = behind < 0 || behind >= drops[x].length ? " " : behind === 0 ? "bold" : behind > drops[x].length / 2 ? "dim" : "";
+                if (next !== style) {
+                  if (style) line += "[/]";
+                  if (next && next !== " ") line += "[" + next + "]";
+                  style = next === " " ? null : next || null;
+                }
+                line += next === " " ? " " : escapeMarkup(ch);
+              });
+              return (style ? line + "[/]" : line).replace(/\s+$/, "");
+            }).join("\n");
+          }
+        };
+      }
+
+      /**
+       * sl: a steam locomotive for everyone who meant to type `ls`.
+       */
+      var SL_SMOKE = [
+        ["         (@@) (  ) (@)  ( )  @@    ()    @", "       (   )", "      (@@@@)"],
+        ["         (  ) (@@) ( )  (@)  ()    @@    O", "       (@@@)", "      (    )"]
+      ];
+      var SL_ENGINE = [
+        "      ====        ________                ___________",
+        "  _D _|  |_______/        \\__I_I_____===__|_________|",
+        "   |(_)---  |   H\\________/ |   |        =|___ ___|",
+        "   /     |  |   H  |  |     |   |         ||_| |_||",
+        "  |      |  |   H  |__--------------------| [___] |",
+        "  | ________|___H__/__|_____/[][]~\\_______|       |",
+        "  |/ |   |-----------I_____I [][] []  D   |=======|__"
+      ];
+      var SL_WHEELS = [
+        [
+          "__/ =| o |=-~~\\  /~~\\  /~~\\  /~~\\ ____Y___________|__",
+          " |/-=|___|=    ||    ||    ||    |_____/~\\___/",
+          "  \\_/      \\O=====O=====O=====O_/      \\_/"
+        ],
+        [
+          "__/ =| o |=-~~\\  /~~\\  /~~\\  /~~\\ ____Y___________|__",
+          " |/-=|___|=O=====O=====O=====O   |_____/~\\___/",
+          "  \\_/      \\__/  \\__/  \\__/  \\__/      \\_/"
+        ]
+      ];
+
+      function steamLocomotive(size) {
+        var length = SL_ENGINE[0].length;
+        var x = size.cols;
+
+        return {
+          interval: 40,
+          tick: function () {
+            x--;
+            return x > -length;
+          },
+          render: function () {
+            var frame = Math.floor(x / 2) % 2 === 0 ? 0 : 1;
+            return [""].concat(SL_SMOKE[Math.floor(x / 4) % 2 === 0 ? 0 : 1], SL_ENGINE, SL_WHEELS[frame]).map(function (line) {
+              var shifted = x >= 0 ? " ".repeat(x) + line : line.slice(-x);
+              return escapeMarkup(shifted.slice(0, size.cols).replace(/\s+$/, ""));
+            }).join("\n");
+          }
+        };
+      }
+
+      registerCommand({
+        name: "snake",
+        usage: "snake",
+        description: "Play snake (arrows/WASD; best score is kept)",
+        complete: "none",
+        run: function (ctx) {
+          return startProgram(ctx, snakeGame);
+        }
+      });
+
+      registerCommand({
+        name: "2048",
+        usage: "2048",
+        description: "Play 2048 (arrows/WASD; best score is kept)",
+        complete: "none",
+        run: function (ctx) {
+          return startProgram(ctx, game2048);
+        }
+      });
+
+      registerCommand({
+        name: "tetris",
+        usage: "tetris",
+        description: "Play tetris (arrows, space drops; best score is kept)",
+        complete: "none",
+        run: function (ctx) {
+          return startProgram(ctx, tetrisGame);
+        }
+      });
+
+      registerCommand({
+        name: "cmatrix",
+        usage: "cmatrix",
+        description: "Digital rain (q to quit)",
+        complete: "none",
+        run: function (ctx) {
+          return startProgram(ctx, matrixRain);
+        }
+      });
+
+      registerCommand({
+        name: "sl",
+        usage: "sl",
+        description: "Steam locomotive (you meant ls)",
+        hidden: true,
+        run: function (ctx) {
+          return startProgram(ctx, steamLocomotive);
+        }
+      });
+
+      /**
+       * cowsay / cowthink: the message (or piped input) in a speech bubble,
+       * each input line wrapped to -W columns (default 40).
+       */
+      var COW = [
+        "        {0}   ^__^",
+        "         {0}  (oo)\\_______",
+        "            (__)\\       )\\/\\",
+        "                ||----w |",
+        "                ||     ||"
+      ];
+
+      function wrapText(text, width) {
+        var lines = [];
+        text.split("\n").forEach(function (paragraph) {
+          var line = "";
+          paragraph.replace(/\t/g, "    ").split(/\s+/).filter(Boolean).forEach(function (word) {
+            while (word.length > width) {
+              if (line) lines.push(line);
+              lines.push(word.slice(0, width));
+              word = word.slice(width);
+              line = "";
+            }
+            if (line && line.length + 1 + word.length > width) {
+              lines.push(line);
+              line = word;
+            } else {
+              line = line ? line + " " + word : word;
+            }
+          });
+          lines.push(line);
+        });
+        return lines;
+      }
+
+      function speechBubble(lines, think) {
+        var width = lines.reduce(function (max, line) {
+          return Math.max(max, line.length);
+        }, 0);
+        var out = [" " + "_".repeat(width + 2)];
+        lines.forEach(function (line, i) {
+          var edges = think ? "()" :
+            lines.length === 1 ? "<>" :
+            i === 0 ? "/\\" :
+            i === lines.length - 1 ? "\\/" : "||";
+          out.push(edges.charAt(0) + " " + line.padEnd(width) + " " + edges.charAt(1));
+        });
+        out.push(" " + "-".repeat(width + 2));
+        return out;
+      }
+
+      registerCommand({
+        name: "cowsay",
+        aliases: ["cowthink"],
+        usage: "cowsay [-W width] [message]",
+        description: "A cow says your message (or piped input, e.g. fortune | cowsay)",
+        complete: "none",
+        valueFlags: ["W"],
+        run: function (ctx) {
+          var width = ctx.flags.W === undefined ? "40" : String(ctx.flags.W);
+          if (!/^[1-9]\d*$/.test(width)) {
+            ctx.error(ctx.name + ": invalid width: " + width);
+            return;
+          }
+          var text = ctx.args.length ? ctx.args.join(" ") : ctx.stdin;
+          if (!text || !text.trim()) {
+            ctx.error(ctx.name + ": nothing to say (give a message or pipe one in)");
+            return;
+          }
+
+          var think = ctx.name === "cowthink";
+          var lines = wrapText(text.replace(/\n+$/, ""), parseInt(width, 10));
+          ctx.printBlock(speechBubble(lines, think).concat(COW.map(function (line) {
+            return line.replace("{0}", think ? "o" : "\\");
+          })).join("\n"));
+        }
+      });
+
+      var FORTUNES = [
+        "Talk is cheap. Show me the code.\n    -- Linus Torvalds",
+        "Programs must be written for people to read, and only incidentally for machines to execute.\n    -- Harold Abelson",
+        "Premature optimization is the root of all evil.\n    -- Donald Knuth",
+        "There are only two hard things in Computer Science: cache invalidation and naming things.\n    -- Phil Karlton",
+        "Simplicity is prerequisite for reliability.\n    -- Edsger W. Dijkstra",
+        "Any fool can write code that a computer can understand. Good programmers write code that humans can understand.\n    -- Martin Fowler",
+        "Make it work, make it right, make it fast.\n    -- Kent Beck",
+        "Debugging is twice as hard as writing the code in the first place. Therefore, if you write the code as cleverly as possible, you are, by definition, not smart enough to debug it.\n    -- Brian Kernighan",
+        "Walking on water and developing software from a specification are easy if both are frozen.\n    -- Edward V. Berard",
+        "Weeks of coding can save you hours of planning.",
+        "It works on my machine.",
+        "There is no place like ~",
+        "You can pipe me into a cow: fortune | cowsay",
+        "Tired of typing ls? Try sl. Actually, don't.",
+        "The high scores of snake, 2048 and tetris are kept in this browser. Go beat them."
+      ];
+
+      registerCommand({
+        name: "fortune",
+        usage: "fortune",
+        description: "Print a random fortune",
+        complete: "none",
+        run: function (ctx) {
+          FORTUNES[Math.floor(Math.random() * FORTUNES.length)].split("\n").forEach(ctx.print);
+        }
+      });
+
+      /**
+       * Terminal sessions and windows
+       * - A session is one shell: its own output, cwd, history and Ctrl+R
+       *   state. Shell variables, aliases and functions are shared.
+       * - A terminal window shows its sessions as tabs; the tab strip
+       *   appears once there are two. "terminal" is the window from
+       *   index.html, the `terminal` command adds "terminal-2",
+       *   "terminal-3"... with the same layout (closed ones are reused).
+       * - Ctrl+Shift+T opens a tab, Ctrl+Shift+W closes one and
+       *   Ctrl+PageUp/PageDown switch between them.
+       * - Every new session runs ~/.techiemanrc. Closing a window ends its
+       *   sessions; `exit` ends only its own.
+       */
+      var MAX_TERMINAL_WINDOWS = 9;
+      var terminalIcon = document.querySelector('[data-launch-app="terminal"] img');
+      var nextShellId = 1;
+
+      function scrollToEnd(shell) {
+        shell = shell || tty;
+        if (shell) shell.term.body.scrollTop = shell.term.body.scrollHeight;
+      }
+
+      // Runs fn with output, cwd and history going to `shell`.
+      function withShell(shell, fn) {
+        var previous = tty;
+        tty = shell;
+        try {
+          return fn();
+        } finally {
+          tty = previous;
+        }
+      }
+
+      function setupTerminal(appId) {
+        var win = getWindowEl(appId);
+        var contentEl = win.querySelector(".app-window__content");
+        win.classList.add("terminal-window");
+        contentEl.classList.add("terminal-content");
+
+        var inputArea = contentEl.querySelector(".terminal-input-area");
+        if (!inputArea) {
+          inputArea = document.createElement("div");
+          inputArea.className = "terminal-input-area";
+          var promptSpan = document.createElement("span");
+          promptSpan.className = "terminal-prompt";
+          var field = document.createElement("input");
+          field.className = "terminal-input";
+          field.autocomplete = "off";
+          field.setAttribute("aria-label", "Terminal input");
+          field.setAttribute("data-autofocus", "");
+          inputArea.appendChild(promptSpan);
+          inputArea.appendChild(field);
+        }
+
+        var tabs = document.createElement("div");
+        tabs.className = "terminal-tabs";
+        tabs.setAttribute("role", "tablist");
+        tabs.setAttribute("aria-label", "Terminal tabs");
+        tabs.hidden = true;
+        var body = document.createElement("div");
+        body.className = "terminal-body";
+        var outputs = document.createElement("div");
+        outputs.className = "terminal-outputs";
+        body.appendChild(outputs);
+        body.appendChild(inputArea);
+        contentEl.appendChild(tabs);
+        contentEl.appendChild(body);
+
+        var input = inputArea.querySelector(".terminal-input");
+        var searchMatch = document.createElement("span");
+        searchMatch.className = "terminal-search-match";
+        input.insertAdjacentElement("afterend", searchMatch);
+
+        var term = {
+          appId: appId,
+          win: win,
+          tabs: tabs,
+          body: body,
+          outputs: outputs,
+          input: input,
+          prompt: inputArea.querySelector(".terminal-prompt"),
+          searchMatch: searchMatch,
+          launcher: appId === "terminal" ? null : document.querySelector('[data-launch-app="' + appId + '"]'),
+          shells: [],
+          active: null
+        };
+        terms[appId] = term;
+
+        input.addEventListener("keydown", function (e) {
+          tty = term.active;
+          if (tty && tty.program) onProgramKeydown(e);
+          else if (tty) onInputKeydown(e);
+        });
+        input.addEventListener("input", function () {
+          tty = term.active;
+          if (tty && tty.search) updateSearch(tty.history.length);
+        });
+        win.addEventListener("keydown", function (e) {
+          if (!e.ctrlKey || e.altKey || e.metaKey) return;
+          var key = e.key.toLowerCase();
+          if (e.shiftKey && key === "t") {
+            e.preventDefault();
+            openShell(term);
+          } else if (e.shiftKey && key === "w") {
+            e.preventDefault();
+            if (term.active) closeShell(term.active);
+          } else if (!e.shiftKey && (e.key === "PageUp" || e.key === "PageDown") && term.shells.length > 1) {
+            e.preventDefault();
+            var index = term.shells.indexOf(term.active) + (e.key === "PageUp" ? -1 : 1);
+            showShell(term.shells[(index + term.shells.length) % term.shells.length], true);
+          }
+        });
+        return term;
+      }
+
+      function renderTabs(term) {
+        term.tabs.textContent = "";
+        term.tabs.hidden = term.shells.length < 2;
+        term.shells.forEach(function (shell) {
+          var isActive = shell === term.active;
+          var tab = document.createElement("div");
+          tab.className = "terminal-tab" + (isActive ? " active" : "");
+          var label = document.createElement("button");
+          label.type = "button";
+          label.className = "terminal-tab__label";
+          label.setAttribute("role", "tab");
+          label.setAttribute("aria-selected", String(isActive));
+          label.setAttribute("aria-controls", shell.output.id);
+          label.tabIndex = isActive ? 0 : -1;
+          label.textContent = shell.program ? shell.program.name : vfs.displayPath(shell.cwd);
+          label.addEventListener("click", function () {
+            showShell(shell, true);
+          });
+          var close = document.createElement("button");
+          close.type = "button";
+          close.className = "terminal-tab__close";
+          close.setAttribute("aria-label", "Close tab " + vfs.displayPath(shell.cwd));
+          close.textContent = "×";
+          close.addEventListener("click", function () {
+            closeShell(shell);
+          });
+          tab.appendChild(label);
+          tab.appendChild(close);
+          term.tabs.appendChild(tab);
+        });
+
+        var add = document.createElement("button");
+        add.type = "button";
+        add.className = "terminal-tab__new";
+        add.setAttribute("aria-label", "New tab");
+        add.title = "New tab (Ctrl+Shift+T)";
+        add.textContent = "+";
+        add.addEventListener("click", function () {
+          openShell(term);
+        });
+        term.tabs.appendChild(add);
+      }
+
+      function createShell(term) {
+        var output = document.createElement("div");
+        output.className = "terminal-output";
+        output.id = "terminal-session-" + nextShellId;
+        output.setAttribute("role", "tabpanel");
+        term.outputs.appendChild(output);
+
+        var history = loadHistory();
+        var shell = {
+          id: nextShellId++,
+          term: term,
+          output: output,
+          cwd: vfs.HOME,
+          history: history,
+          historyIndex: history.length, // == history.length while editing a fresh line
+          historyDraft: "",
+          search: null,
+          program: null, // full-screen program that has the keyboard
+          draft: "" // unsent input while another tab is shown
+        };
+        term.shells.push(shell);
+        return shell;
+      }
+
+      function showShell(shell, focus) {
+        var term = shell.term;
+        var previous = term.active;
+        if (previous && previous !== shell) {
+          if (previous.search) {
+            withShell(previous, function () {
+              endSearch(previous.search.match);
+            });
+          }
+          previous.draft = term.input.value;
+        }
+
+        term.active = shell;
+        term.shells.forEach(function (other) {
+          other.output.hidden = other !== shell;
+        });
+        term.input.value = shell.draft;
+        updateCapture(term);
+        updatePrompt();
+        scrollToEnd(shell);
+        if (focus) term.input.focus();
+        session.scheduleSave();
+      }
+
+      function openShell(term, quiet) {
+        var shell = createShell(term);
+        showShell(shell, true);
+        runStartup(shell, quiet);
+        return shell;
+      }
+
+      // The last tab takes its window with it.
+      function closeShell(shell) {
+        var term = shell.term;
+        var index = term.shells.indexOf(shell);
+        if (index === -1) return;
+        if (term.shells.length === 1) {
+          (function attempt() {
+            if (isAnimating) {
+              window.setTimeout(attempt, 50);
+              return;
+            }
+            closeApp(term.appId);
+          })();
+          return;
+        }
+
+        stopProgram(shell);
+        term.shells.splice(index, 1);
+        shell.output.remove();
+        if (tty === shell) tty = null;
+        if (term.active === shell) {
+          term.active = null;
+          showShell(term.shells[Math.min(index, term.shells.length - 1)], true);
+        } else {
+          renderTabs(term);
+        }
+        session.scheduleSave();
+      }
+
+      function onTerminalOpen(win) {
+        var term = terms[win.id.slice("app-".length)];
+        if (term.launcher) term.launcher.hidden = false;
+        if (!term.shells.length) openShell(term);
+        window.dispatchEvent(new CustomEvent("terminal-launched", { detail: { appId: term.appId } }));
+      }
+
+      function onTerminalClose(win) {
+        var term = terms[win.id.slice("app-".length)];
+        term.shells.forEach(function (shell) {
+          stopProgram(shell);
+          shell.output.remove();
+          if (tty === shell) tty = null;
+        });
+        term.shells = [];
+        term.active = null;
+        term.input.value = "";
+        renderTabs(term);
+        if (term.launcher) term.launcher.hidden = true;
+      }
+
+      function ensureTerminalWindow(n) {
+        var appId = "terminal-" + n;
+        if (terms[appId]) return terms[appId];
+        registerApp({
+          id: appId,
+          title: "Terminal " + n,
+          icon: terminalIcon ? terminalIcon.getAttribute("src") : "",
+          onOpen: onTerminalOpen,
+          onClose: onTerminalClose
+        });
+        var term = setupTerminal(appId);
+        term.launcher.hidden = true;
+        return term;
+      }
+
+      // A closed terminal window if there is one, else a new one.
+      function newTerminalWindow() {
+        var term = Object.keys(terms).map(function (appId) {
+          return terms[appId];
+        }).find(function (candidate) {
+          return !runningApps.has(candidate.appId);
+        });
+        for (var n = 2; !term && n <= MAX_TERMINAL_WINDOWS; n++) {
+          if (!terms["terminal-" + n]) term = ensureTerminalWindow(n);
+        }
+        if (term) showApp(term.appId);
+        return term || null;
+      }
+
+      registerCommand({
+        name: "terminal",
+        aliases: ["gnome-terminal", "xterm"],
+        usage: "terminal [--tab]",
+        description: "Open a new terminal window (--tab: a new tab in this one)",
+        complete: "none",
+        run: function (ctx) {
+          if (ctx.flags.tab) {
+            openShell(tty.term);
+            return;
+          }
+          var term = newTerminalWindow();
+          if (!term) ctx.error("terminal: all " + MAX_TERMINAL_WINDOWS + " terminal windows are open");
+          else ctx.print("Opening " + apps[term.appId].title + "...");
+        }
+      });
+
+      /**
+       * Session part: shell state plus every terminal window's sessions
+       * (cwd + last SCROLLBACK_LIMIT lines each).
+       * Lines are stored as [className, text] runs and rebuilt with
+       * textContent; only known output classes are accepted back.
+       */
+      var SCROLLBACK_LIMIT = 500;
+      var OUTPUT_CLASS = /^(terminal-prompt|terminal-banner|term-[a-z]+( term-[a-z]+)*)$/;
+
+      function saveScrollback(output) {
+        return Array.from(output.children).filter(function (el) {
+          return !el.classList.contains("terminal-screen");
+        }).slice(-SCROLLBACK_LIMIT).map(function (el) {
+          return {
+            tag: el.tagName === "PRE" ? "pre" : "div",
+            className: el.className,
+            runs: Array.from(el.childNodes).map(function (node) {
+              return [node.nodeType === Node.ELEMENT_NODE ? node.className : "", node.textContent];
+            })
+          };
+        });
+      }
+
+      function restoreScrollback(output, scrollback) {
+        scrollback.forEach(function (line) {
+          var el = document.createElement(line.tag === "pre" ? "pre" : "div");
+          if (OUTPUT_CLASS.test(line.className)) el.className = line.className;
+          (line.runs || []).forEach(function (run) {
+            if (run[0] && OUTPUT_CLASS.test(run[0])) {
+              var span = document.createElement("span");
+              span.className = run[0];
+              span.textContent = run[1];
+              el.appendChild(span);
+            } else {
+              el.appendChild(document.createTextNode(run[1]));
+            }
+          });
+          output.appendChild(el);
+        });
+      }
+
+      session.register("terminal", {
+        save: function () {
+          return {
+            shell: { vars: shellVars, aliases: aliases, functions: functions },
+            windows: Object.keys(terms).filter(function (appId) {
+              return terms[appId].shells.length > 0;
+            }).map(function (appId) {
+              var term = terms[appId];
+              return {
+                id: appId,
+                active: term.shells.indexOf(term.active),
+                sessions: term.shells.map(function (shell) {
+                  return { cwd: shell.cwd, scrollback: saveScrollback(shell.output) };
+                })
+              };
+            })
+          };
+        },
+        prepare: function (data) {
+          // Extra windows must exist before the "windows" part places them.
+          (Array.isArray(data.windows) ? data.windows : []).forEach(function (saved) {
+            var match = /^terminal-(\d+)$/.exec(saved.id);
+            if (match && match[1] >= 2 && match[1] <= MAX_TERMINAL_WINDOWS) ensureTerminalWindow(parseInt(match[1], 10));
+          });
+        },
+        restore: function (data) {
+          var shell = data.shell || {};
+          ["vars", "aliases"].forEach(function (key) {
+            var saved = shell[key] && typeof shell[key] === "object" ? shell[key] : {};
+            Object.keys(saved).forEach(function (name) {
+              if (typeof saved[name] === "string") (key === "vars" ? shellVars : aliases)[name] = saved[name];
+            });
+          });
+          if (shell.functions && typeof shell.functions === "object") {
+            Object.keys(shell.functions).forEach(function (name) {
+              if (Array.isArray(shell.functions[name])) functions[name] = shell.functions[name];
+            });
+          }
+
+          // Snapshots from before tabs hold one session at the top level.
+          var windows = Array.isArray(data.windows) ? data.windows : data.scrollback ? [{ id: "terminal", active: 0, sessions: [data] }] : [];
+          var restored = [];
+          windows.forEach(function (saved) {
+            var term = terms[saved.id];
+            if (!term || term.shells.length || !Array.isArray(saved.sessions)) return;
+            saved.sessions.forEach(function (entry) {
+              var created = createShell(term);
+              var dir = entry.cwd && vfs.stat(entry.cwd);
+              if (dir && dir.type === "dir") created.cwd = entry.cwd;
+              restoreScrollback(created.output, Array.isArray(entry.scrollback) ? entry.scrollback : []);
+              restored.push(created);
+            });
+            if (term.shells.length) showShell(term.shells[saved.active] || term.shells[0], false);
+          });
+
+          Object.keys(terms).forEach(function (appId) {
+            var term = terms[appId];
+            if (term.launcher) term.launcher.hidden = !runningApps.has(appId);
+            // A window that came back without its sessions gets a fresh one.
+            if (runningApps.has(appId) && !term.shells.length) openShell(term);
+          });
+          updatePrompt();
+
+          if (restored.length) {
+            runStartup(restored[0], true);
+            if (restored.some(function (created) { return created.output.childElementCount > 0; })) {
+              window.dispatchEvent(new CustomEvent("terminal-restored"));
+            }
+          }
+        }
+      });
+
+      registerCommand({
+        name: "reset-session",
+        usage: "reset-session [--rc]",
+        description: "Forget the saved desktop session and reload",
+        run: function (ctx) {
+          session.reset();
+          if (ctx.flags.rc) vfs.resetDefault(RC_PATH);
+          ctx.print("Session wiped. Reloading...");
+          window.setTimeout(function () {
+            window.location.reload();
+          }, 600);
+        }
+      });
+
+      registerCommand({
+        name: "notify-send",
+        usage: "notify-send [-t ms] [-i icon] <title> [body]",
+        description: "Show a desktop notification",
+        complete: "none",
+        valueFlags: ["t", "i", "expire-time", "icon"],
+        run: function (ctx) {
+          if (!ctx.args.length) {
+            ctx.error("notify-send: no summary specified");
+            return;
+          }
+          var timeout = ctx.flags.t !== undefined ? ctx.flags.t : ctx.flags["expire-time"];
+          if (timeout !== undefined && !/^\d+$/.test(String(timeout))) {
+            ctx.error("notify-send: invalid expire time: " + timeout);
+            return;
+          }
+          var icon = ctx.flags.i || ctx.flags.icon;
+          notify({
+            title: ctx.args[0],
+            body: ctx.args.slice(1).join(" "),
+            icon: typeof icon === "string" ? icon : "",
+            timeout: timeout === undefined ? undefined : parseInt(timeout, 10)
+          });
+        }
+      });
+
+      /**
+       * Power commands: the boot/lock screens take over the whole page.
+       */
+      function stoppingUnits() {
+        return Array.from(runningApps).map(function (appId) {
+          return (apps[appId] ? apps[appId].title : appId) + " window";
+        }).concat(["Terminal", "Notification Service", "Window Manager", "System Clock"]);
+      }
+
+      registerCommand({
+        name: "lock",
+        usage: "lock",
+        description: "Lock the screen",
+        complete: "none",
+        run: function () {
+          boot.lock();
+        }
+      });
+
+      registerCommand({
+        name: "reboot",
+        usage: "reboot",
+        description: "Restart techieman.os (boot sequence included)",
+        complete: "none",
+        run: function (ctx) {
+          ctx.print("Broadcast message from techieman@os: The system is going down for reboot NOW!");
+          session.scheduleSave();
+          boot.shutdown(stoppingUnits(), true);
+        }
+      });
+
+      registerCommand({
+        name: "shutdown",
+        usage: "shutdown [-r] [now]",
+        description: "Power off (-r: reboot instead)",
+        complete: "none",
+        run: function (ctx) {
+          var restart = Boolean(ctx.flags.r);
+          ctx.print("Broadcast message from techieman@os: The system is going down for " + (restart ? "reboot" : "poweroff") + " NOW!");
+          session.scheduleSave();
+          boot.shutdown(stoppingUnits(), restart);
+        }
+      });
+
+      // Commands from registerApp() go straight into the registry from now on.
+      addShellCommand = registerCommand;
+      pendingCommands.splice(0).forEach(registerCommand);
+
+      registerApp({
+        id: "terminal",
+        title: "Terminal",
+        onOpen: onTerminalOpen,
+        onClose: onTerminalClose
+      });
+      setupTerminal("terminal");
+
+      /**
+       * ~/.techiemanrc runs in every new session, greeting included. After
+       * a reload it runs once, quietly, in a restored session, so its
+       * aliases and functions exist without reprinting the banner.
+       */
+      var RC_PATH = vfs.HOME + "/.techiemanrc";
+      var DEFAULT_RC = [
+        "# ~/.techiemanrc: runs when the terminal starts.",
+        "# Change it, then `source ~/.techiemanrc` (or reload) to apply.",
+        "banner",
+        "echo",
+        "echo 'Welcome to techieman.os'",
+        "echo 'Interactive developer portfolio environment'",
+        "echo",
+        "echo 'Type \"help\" to view commands'",
+        "echo 'Type \"about\" to know more about me'",
+        "echo",
+        "",
+        "alias ll='ls -l'",
+        "# export PS1='\\u@\\h:\\w\\$ '"
+      ].join("\n") + "\n";
+
+      vfs.setDefault(RC_PATH, DEFAULT_RC);
+
+      function runStartup(shell, quiet) {
+        var rc = vfs.stat(RC_PATH);
+        if (!rc || rc.type !== "file") return;
+
+        withShell(shell, function () {
+          muted = Boolean(quiet);
+          try {
+            runScript(rc.content, "~/.techiemanrc");
+          } finally {
+            muted = false;
+          }
+        });
+        updatePrompt();
+        scrollToEnd(shell);
+      }
+      // $USER comes from the manifest.
+      window.addEventListener("content-loaded", updatePrompt);
+
+      updatePrompt();
+      boot.report("Started Terminal (" + Object.keys(commands).length + " commands).");
+
+      function onInputKeydown(e) {
+        if (tty.search) {
+          if (e.key === "Enter") {
+            var match = tty.search.match;
+            endSearch(match);
+          } else if (e.ctrlKey && e.key.toLowerCase() === "r") {
+            e.preventDefault();
+            updateSearch(tty.search.index);
+            return;
+          } else if (e.ctrlKey && e.key.toLowerCase() === "g") {
+            e.preventDefault();
+            endSearch(tty.historyDraft);
+            return;
+          } else if (e.key === "Escape" || e.key.indexOf("Arrow") === 0 || e.key === "Tab") {
+            e.preventDefault();
+            endSearch(tty.search.match);
+            return;
+          } else {
+            return;
+          }
+        }
+
+        if (e.key === "Enter") {
+          var shell = tty; // a command may close or switch sessions
+          var cmd = shell.term.input.value.trim();
+          echoCommand(cmd);
+
+          try {
+            var expanded = expandHistory(cmd);
+            if (expanded !== cmd) printLine(expanded);
+            addHistory(expanded);
+            runScript(expanded);
+          } catch (err) {
+            printLine(err.message);
+          }
+
+          shell.term.input.value = "";
+          scrollToEnd(shell);
+          session.scheduleSave();
+        } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+          e.preventDefault();
+          recallHistory(e.key === "ArrowUp" ? -1 : 1);
+        } else if (e.key === "Tab") {
+          e.preventDefault();
+          completeInput();
+        } else if (e.ctrlKey && e.key.toLowerCase() === "r") {
+          e.preventDefault();
+          startSearch();
+        }
+      }
+    }
+
+    /**
+     * Settings app: same sidebar/section layout as About (content.renderApp),
+     * every control writes through settings.set(), and the controls re-sync
+     * on "settings-changed" so terminal commands show up here too.
+     */
+    (function () {
+      var SECTIONS = [
+        { id: "appearance", label: "Appearance", title: "Appearance" },
+        { id: "background", label: "Background", title: "Background" },
+        { id: "accessibility", label: "Accessibility", title: "Accessibility" }
+      ];
+
+      /**
+       * A labelled radiogroup of option buttons; `swatch` adds a color chip.
+       */
+      function optionGroup(key, label, swatch) {
+        var group = el("div", "settings-group");
+        group.appendChild(el("h3", "settings-group__label", label));
+        var options = el("div", "settings-options");
+        options.setAttribute("role", "radiogroup");
+        options.setAttribute("aria-label", label);
+        settings.options[key].forEach(function (option) {
+          var button = el("button", "settings-option");
+          button.type = "button";
+          button.setAttribute("role", "radio");
+          button.setAttribute("data-setting", key);
+          button.setAttribute("data-value", option.id);
+          if (swatch) {
+            var chip = el("span", "settings-option__swatch");
+            chip.style.background = option.image ? 'center / cover url("' + option.image + '")' : option.color;
+            button.appendChild(chip);
+          }
+          button.appendChild(el("span", "settings-option__label", option.label));
+          options.appendChild(button);
+        });
+        group.appendChild(options);
+        return group;
+      }
+
+      function customColor(key, label) {
+        var row = el("label", "settings-custom");
+        row.appendChild(el("span", "", label));
+        var input = el("input");
+        input.type = "color";
+        input.setAttribute("data-setting", key);
+        row.appendChild(input);
+        return row;
+      }
+
+      function renderSection(section, inner) {
+        if (section.id === "appearance") {
+          inner.appendChild(optionGroup("theme", "Style", false));
+          var accent = optionGroup("accent", "Accent Color", true);
+          accent.appendChild(customColor("accent", "Custom accent"));
+          inner.appendChild(accent);
+        } else if (section.id === "background") {
+          var wallpaper = optionGroup("wallpaper", "Wallpaper", true);
+          wallpaper.appendChild(customColor("wallpaper", "Solid color"));
+          inner.appendChild(wallpaper);
+        } else {
+          inner.appendChild(optionGroup("fontSize", "Text Size", false));
+          inner.appendChild(optionGroup("motion", "Animation Speed", false));
+        }
+      }
+
+      function sync(root) {
+        root.querySelectorAll("[data-setting]").forEach(function (control) {
+          var value = settings.get(control.getAttribute("data-setting"));
+          if (control.type === "color") {
+            if (/^#[0-9a-f]{6}$/i.test(value)) control.value = value;
+          } else {
+            control.setAttribute("aria-checked", String(control.getAttribute("data-value") === value));
+          }
+        });
+      }
+
+      function printOptions(ctx, key) {
+        settings.options[key].forEach(function (option) {
+          var current = option.id === settings.get(key);
+          ctx.printMarkup((current ? "[green]* " : "  ") + option.id.padEnd(14) + (current ? "[/]" : "") + "[dim]" + option.label + "[/]");
+        });
+      }
+
+      registerApp({
+        id: "settings",
+        title: "Settings",
+        render: function (contentEl) {
+          var layout = el("div", "app-layout");
+          layout.setAttribute("data-content", "settings");
+          var sidebar = el("aside", "app-sidebar");
+          sidebar.appendChild(el("ul", "sidebar-nav"));
+          layout.appendChild(sidebar);
+          layout.appendChild(el("section", "app-main"));
+          contentEl.appendChild(layout);
+          content.renderApp("settings", SECTIONS, renderSection);
+          sync(layout);
+
+          layout.addEventListener("click", function (e) {
+            var option = e.target.closest(".settings-option");
+            if (option) settings.set(option.getAttribute("data-setting"), option.getAttribute("data-value"));
+          });
+          layout.addEventListener("input", function (e) {
+            if (e.target.type === "color") settings.set(e.target.getAttribute("data-setting"), e.target.value);
+          });
+          window.addEventListener("settings-changed", function () {
+            sync(layout);
+          });
+        },
+        commands: [
+          {
+            name: "theme",
+            usage: "theme [list | set <name>]",
+            description: "Show, list or change the desktop theme",
+            complete: "none",
+            run: function (ctx) {
+              var sub = ctx.args[0];
+              if (!sub) {
+                ctx.print("Theme: " + settings.get("theme"));
+              } else if (sub === "list") {
+                printOptions(ctx, "theme");
+              } else if (sub === "set" && ctx.args[1]) {
+                if (!settings.set("theme", ctx.args[1])) {
+                  ctx.error("theme: unknown theme '" + ctx.args[1] + "' (try: theme list)");
+                  return;
+                }
+                ctx.print("Theme set to " + settings.get("theme"));
+              } else {
+                ctx.error("usage: theme [list | set <name>]");
+              }
+            }
+          },
+          {
+            name: "wallpaper",
+            usage: "wallpaper [list | <name> | <#rrggbb>]",
+            description: "Show, list or change the wallpaper",
+            complete: "none",
+            run: function (ctx) {
+              var name = ctx.args[0];
+              if (!name) {
+                ctx.print("Wallpaper: " + settings.get("wallpaper"));
+              } else if (name === "list") {
+                printOptions(ctx, "wallpaper");
+              } else if (settings.set("wallpaper", name)) {
+                ctx.print("Wallpaper set to " + settings.describe("wallpaper"));
+              } else {
+                ctx.error("wallpaper: unknown wallpaper '" + name + "' (try: wallpaper list, or a #rrggbb color)");
+              }
+            }
+          }
+        ]
+      });
+    })();
+
+    /**
+     * Editor app: tabbed text editor over the vfs (what `nano` opens).
+     * - A transparent <textarea> sits over a highlighted <pre> with the
+     *   same metrics, so typing stays native while JS/Python/Markdown get
+     *   colour; the gutter numbers the lines.
+     * - Ctrl+S saves, Ctrl+F finds, Ctrl+H replaces. Tab indents; press
+     *   Escape first to move focus with Tab instead.
+     * - Saving writes through vfs.writeFile, so files under ~ persist.
+     *   Open tabs, unsaved text included, are kept in the session.
+     */
+    var editor = (function () {
+      var INDENT = "  ";
+      var LANGUAGES = {
+        javascript: {
+          label: "JavaScript",
+          rules: [
+            ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$(?![\s\S]))/],
+            ["string", /"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?|`(?:\\[\s\S]|[^`\\])*`?/],
+            ["number", /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/],
+            ["keyword", /\b(?:var|let|const|function|return|if|else|for|while|do|switch|case|break|continue|new|this|typeof|instanceof|in|of|class|extends|super|import|export|from|default|try|catch|finally|throw|async|await|yield|delete|void|null|undefined|true|false)\b/]
+          ]
+        },
+        python: {
+          label: "Python",
+          rules: [
+            ["comment", /#[^\n]*/],
+            ["string", /[rRbBfF]{0,2}(?:"""[\s\S]*?(?:"""|$(?![\s\S]))|'''[\s\S]*?(?:'''|$(?![\s\S]))|"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)/],
+            ["meta", /@[A-Za-z_][\w.]*/],
+            ["number", /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?j?)\b/],
+            ["keyword", /\b(?:def|class|return|if|elif|else|for|while|in|not|and|or|is|import|from|as|with|try|except|finally|raise|pass|break|continue|lambda|yield|global|nonlocal|assert|del|async|await|None|True|False|self)\b/]
+          ]
+        },
+        markdown: {
+          label: "Markdown",
+          rules: [
+            ["string", /^```[\s\S]*?^```[^\n]*|^```[\s\S]*/],
+            ["keyword", /^#{1,6}[ \t][^\n]*/],
+            ["comment", /^>[^\n]*/],
+            ["meta", /^[ \t]*(?:[-*+]|\d+\.)(?=[ \t])/],
+            ["string", /`[^`\n]+`/],
+            ["strong", /\*\*[^*\n]+\*\*|__[^_\n]+__/],
+            ["emphasis", /\*[^*\n]+\*|\b_[^_\n]+_\b/],
+            ["link", /!?\[[^\]\n]*\]\([^)\n]*\)/]
+          ]
+        },
+        text: { label: "Plain Text", rules: [] }
+      };
+      var EXTENSIONS = { js: "javascript", mjs: "javascript", cjs: "javascript", json: "javascript", py: "python", md: "markdown", markdown: "markdown" };
+
+      // One combined regex per language; the capture group that matched names the token.
+      Object.keys(LANGUAGES).forEach(function (id) {
+        var rules = LANGUAGES[id].rules;
+        LANGUAGES[id].pattern = rules.length ? new RegExp(rules.map(function (rule) {
+          return "(" + rule[1].source + ")";
+        }).join("|"), "gm") : null;
+      });
+
+      var tabs = []; // { id, path, text, saved, language, scrollTop, selection }
+      var active = null;
+      var nextTabId = 1;
+      var untitled = 0;
+      var ui = null;
+      var tabMovesFocus = false;
+
+      function languageOf(path) {
+        var match = /\.([A-Za-z0-9]+)$/.exec(path || "");
+        return (match && EXTENSIONS[match[1].toLowerCase()]) || "text";
+      }
+
+      function nameOf(tab) {
+        return tab.path ? tab.path.slice(tab.path.lastIndexOf("/") + 1) : tab.title;
+      }
+
+      // A file that doesn't exist yet counts as saved while it is empty.
+      function isDirty(tab) {
+        return tab.text !== (tab.saved === null ? "" : tab.saved);
+      }
+
+      function highlight(text, language) {
+        var fragment = document.createDocumentFragment();
+        var pattern = LANGUAGES[language].pattern;
+        var rules = LANGUAGES[language].rules;
+        var last = 0;
+        var match;
+
+        if (pattern) {
+          pattern.lastIndex = 0;
+          while ((match = pattern.exec(text))) {
+            if (!match[0]) {
+              pattern.lastIndex++;
+              continue;
+            }
+            if (match.index > last) fragment.appendChild(document.createTextNode(text.slice(last, match.index)));
+            var group = 1;
+            while (match[group] === undefined) group++;
+            fragment.appendChild(el("span", "tok-" + rules[group - 1][0], match[0]));
+            last = match.index + match[0].length;
+          }
+        }
+        // The trailing newline keeps the last (empty) line as tall as the textarea's.
+        fragment.appendChild(document.createTextNode(text.slice(last) + "\n"));
+        return fragment;
+      }
+
+      function activeTab() {
+        return tabs.find(function (tab) { return tab.id === active; }) || null;
+      }
+
+      function renderTabs() {
+        ui.tabs.textContent = "";
+        tabs.forEach(function (tab) {
+          var isActive = tab.id === active;
+          var item = el("div", "editor-tab" + (isActive ? " active" : ""));
+          var select = button("editor-tab__label", (isDirty(tab) ? "• " : "") + nameOf(tab));
+          select.setAttribute("role", "tab");
+          select.setAttribute("aria-selected", String(isActive));
+          select.tabIndex = isActive ? 0 : -1;
+          select.title = tab.path ? vfs.displayPath(tab.path) : "Not saved yet";
+          select.addEventListener("click", function () {
+            switchTo(tab.id);
+          });
+          var close = button("editor-tab__close", "×", "Close " + nameOf(tab));
+          close.addEventListener("click", function () {
+            closeTab(tab.id);
+          });
+          item.appendChild(select);
+          item.appendChild(close);
+          ui.tabs.appendChild(item);
+        });
+      }
+
+      function renderCode() {
+        var tab = activeTab();
+        ui.highlight.textContent = "";
+        ui.highlight.appendChild(highlight(tab ? tab.text : "", tab ? tab.language : "text"));
+        var lines = (tab ? tab.text : "").split("\n").length;
+        var numbers = [];
+        for (var i = 1; i <= lines; i++) numbers.push(i);
+        ui.gutter.textContent = numbers.join("\n");
+        syncScroll();
+      }
+
+      function renderStatus() {
+        var tab = activeTab();
+        if (!tab) {
+          ui.status.textContent = "No file open";
+          return;
+        }
+        var before = ui.input.value.slice(0, ui.input.selectionStart);
+        var line = before.split("\n").length;
+        var column = before.length - before.lastIndexOf("\n");
+        ui.status.textContent = "Ln " + line + ", Col " + column + " · " + LANGUAGES[tab.language].label + " · " +
+          (isDirty(tab) ? "Modified" : tab.path ? "Saved" : "New file");
+      }
+
+      function renderTitle() {
+        var title = ui.win.querySelector(".app-window__title");
+        var tab = activeTab();
+        if (title) title.textContent = tab ? nameOf(tab) + (isDirty(tab) ? " •" : "") + " — Editor" : "Editor";
+      }
+
+      function render() {
+        if (!ui) return;
+        var tab = activeTab();
+        ui.empty.hidden = Boolean(tab);
+        ui.code.hidden = !tab;
+        ui.save.disabled = !tab;
+        if (tab && ui.input.value !== tab.text) ui.input.value = tab.text;
+        renderTabs();
+        renderCode();
+        renderStatus();
+        renderTitle();
+      }
+
+      function syncScroll() {
+        ui.highlight.style.transform = "translate(" + -ui.input.scrollLeft + "px, " + -ui.input.scrollTop + "px)";
+        ui.gutter.style.transform = "translateY(" + -ui.input.scrollTop + "px)";
+      }
+
+      function remember() {
+        var tab = activeTab();
+        if (!tab || !ui) return;
+        tab.scrollTop = ui.input.scrollTop;
+        tab.selection = [ui.input.selectionStart, ui.input.selectionEnd];
+      }
+
+      function switchTo(id, focus) {
+        remember();
+        active = id;
+        render();
+        var tab = activeTab();
+        if (ui && tab) {
+          ui.input.value = tab.text;
+          var selection = tab.selection || [0, 0];
+          ui.input.setSelectionRange(selection[0], selection[1]);
+          ui.input.scrollTop = tab.scrollTop || 0;
+          syncScroll();
+          if (focus !== false) ui.input.focus({ preventScroll: true });
+        }
+        session.scheduleSave();
+      }
+
+      function addTab(tab) {
+        tab.id = nextTabId++;
+        tab.language = languageOf(tab.path);
+        tabs.push(tab);
+        return tab;
+      }
+
+      /**
+       * Opens `path` in a tab (reusing one that already has it). A missing
+       * file opens empty and is created on first save. Throws with a
+       * bash-style reason when the path can't hold text.
+       */
+      function openFile(path) {
+        var existing = tabs.find(function (tab) { return tab.path === path; });
+        if (existing) {
+          switchTo(existing.id);
+          return existing;
+        }
+
+        var node = vfs.stat(path);
+        var parent = vfs.stat(path.slice(0, path.lastIndexOf("/")) || "/");
+        if (node && node.type === "dir") throw new Error("Is a directory");
+        if (node && node.src) throw new Error("Cannot edit a binary file");
+        if (!node && (!parent || parent.type !== "dir")) throw new Error("No such file or directory");
+
+        var text = node ? node.content : "";
+        var tab = addTab({ path: path, text: text, saved: node ? text : null });
+        switchTo(tab.id);
+        return tab;
+      }
+
+      function newFile() {
+        untitled++;
+        var tab = addTab({ path: null, title: "Untitled " + untitled, text: "", saved: null });
+        switchTo(tab.id);
+      }
+
+      function closeTab(id, force) {
+        var tab = tabs.find(function (candidate) { return candidate.id === id; });
+        if (!tab) return;
+        if (isDirty(tab) && !force) {
+          notify({
+            title: "Unsaved changes in " + nameOf(tab),
+            body: "Save the file first, or discard the changes.",
+            icon: "✎",
+            actions: [{
+              label: "Discard",
+              run: function () {
+                closeTab(id, true);
+              }
+            }]
+          });
+          return;
+        }
+
+        var index = tabs.indexOf(tab);
+        tabs.splice(index, 1);
+        if (active === id) {
+          var next = tabs[Math.min(index, tabs.length - 1)];
+          active = null;
+          if (next) switchTo(next.id);
+        }
+        render();
+        session.scheduleSave();
+      }
+
+      function save(tab) {
+        tab = tab || activeTab();
+        if (!tab) return;
+        if (!tab.path) {
+          openSaveAs();
+          return;
+        }
+        try {
+          vfs.writeFile(tab.path, tab.text);
+        } catch (err) {
+          setMessage(vfs.displayPath(tab.path) + ": " + err.message, true);
+          return;
+        }
+        tab.saved = tab.text;
+        var home = tab.path.indexOf(vfs.HOME + "/") === 0;
+        setMessage("Saved " + vfs.displayPath(tab.path) + (home ? "" : " (outside ~, kept until reload)"));
+        render();
+        session.scheduleSave();
+      }
+
+      function setMessage(text, isError) {
+        ui.message.textContent = text;
+        ui.message.classList.toggle("editor-message--error", Boolean(isError));
+      }
+
+      function openSaveAs() {
+        var tab = activeTab();
+        if (!tab) return;
+        ui.saveAs.hidden = false;
+        ui.saveAsInput.value = tab.path ? vfs.displayPath(tab.path) : "~/" + nameOf(tab).toLowerCase().replace(/\s+/g, "-") + ".txt";
+        ui.saveAsInput.focus();
+        ui.saveAsInput.select();
+      }
+
+      function submitSaveAs() {
+        var tab = activeTab();
+        var value = ui.saveAsInput.value.trim();
+        if (!tab || !value) return;
+        var path = vfs.normalize(value, vfs.HOME);
+        var node = vfs.stat(path);
+        if (node && node.type === "dir") {
+          setMessage(value + ": Is a directory", true);
+          return;
+        }
+        var previous = tab.path;
+        tab.path = path;
+        tab.language = languageOf(path);
+        save(tab);
+        if (tab.saved !== tab.text) {
+          tab.path = previous;
+          tab.language = languageOf(previous);
+          return;
+        }
+        ui.saveAs.hidden = true;
+        ui.input.focus();
+      }
+
+      /**
+       * Find / replace over the active buffer. Matches are plain text;
+       * "Match case" toggles case sensitivity.
+       */
+      function findPattern() {
+        var query = ui.findInput.value;
+        if (!query) return null;
+        return new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), ui.matchCase.checked ? "g" : "gi");
+      }
+
+      function matchesOf(text) {
+        var pattern = findPattern();
+        var found = [];
+        var match;
+        if (!pattern) return found;
+        while ((match = pattern.exec(text))) found.push(match.index);
+        return found;
+      }
+
+      function updateFindCount(current) {
+        var found = matchesOf(ui.input.value);
+        var index = found.indexOf(current);
+        ui.findCount.textContent = !ui.findInput.value ? "" : found.length === 0 ? "No results" :
+          (index === -1 ? found.length + (found.length === 1 ? " match" : " matches") : (index + 1) + " of " + found.length);
+        return found;
+      }
+
+      function findNext(backwards) {
+        var found = matchesOf(ui.input.value);
+        if (!found.length) {
+          updateFindCount(-1);
+          return false;
+        }
+        var from = backwards ? ui.input.selectionStart : ui.input.selectionEnd;
+        var target = backwards ?
+          found.filter(function (index) { return index < from; }).pop() :
+          found.find(function (index) { return index >= from; });
+        if (target === undefined) target = backwards ? found[found.length - 1] : found[0];
+
+        ui.input.focus({ preventScroll: true });
+        ui.input.setSelectionRange(target, target + ui.findInput.value.length);
+        scrollToSelection();
+        ui.findInput.focus();
+        updateFindCount(target);
+        renderStatus();
+        return true;
+      }
+
+      function scrollToSelection() {
+        var line = ui.input.value.slice(0, ui.input.selectionStart).split("\n").length - 1;
+        var lineHeight = parseFloat(window.getComputedStyle(ui.input).lineHeight) || 18;
+        var top = line * lineHeight;
+        if (top < ui.input.scrollTop || top > ui.input.scrollTop + ui.input.clientHeight - lineHeight * 2) {
+          ui.input.scrollTop = Math.max(0, top - ui.input.clientHeight / 2);
+        }
+        syncScroll();
+      }
+
+      function selectionMatches() {
+        var selected = ui.input.value.slice(ui.input.selectionStart, ui.input.selectionEnd);
+        var query = ui.findInput.value;
+        return query && (ui.matchCase.checked ? selected === query : selected.toLowerCase() === query.toLowerCase());
+      }
+
+      function replaceOne() {
+        if (!selectionMatches() && !findNext()) return;
+        if (!selectionMatches()) return;
+        ui.input.setRangeText(ui.replaceInput.value, ui.input.selectionStart, ui.input.selectionEnd, "end");
+        onInput();
+        findNext();
+      }
+
+      function replaceAll() {
+        var pattern = findPattern();
+        if (!pattern) return;
+        var count = matchesOf(ui.input.value).length;
+        if (!count) {
+          updateFindCount(-1);
+          return;
+        }
+        var replacement = ui.replaceInput.value;
+        ui.input.value = ui.input.value.replace(pattern, function () {
+          return replacement;
+        });
+        onInput();
+        ui.findCount.textContent = "Replaced " + count;
+      }
+
+      function showFind(withReplace) {
+        ui.find.hidden = false;
+        ui.replaceRow.hidden = !withReplace;
+        var selected = ui.input.value.slice(ui.input.selectionStart, ui.input.selectionEnd);
+        if (selected && selected.indexOf("\n") === -1) ui.findInput.value = selected;
+        ui.findInput.focus();
+        ui.findInput.select();
+        updateFindCount(-1);
+      }
+
+      function hideFind() {
+        ui.find.hidden = true;
+        ui.input.focus();
+      }
+
+      function onInput() {
+        var tab = activeTab();
+        if (!tab) return;
+        var wasDirty = isDirty(tab);
+        tab.text = ui.input.value;
+        renderCode();
+        renderStatus();
+        if (wasDirty !== isDirty(tab)) {
+          renderTabs();
+          renderTitle();
+        }
+        session.scheduleSave();
+      }
+
+      function onInputKeydown(e) {
+        if (e.key === "Escape") {
+          tabMovesFocus = true;
+          return;
+        }
+        if (e.key === "Tab" && !tabMovesFocus && !e.ctrlKey && !e.altKey) {
+          e.preventDefault();
+          var start = ui.input.selectionStart;
+          var end = ui.input.selectionEnd;
+          var value = ui.input.value;
+          var lineStart = value.lastIndexOf("\n", start - 1) + 1;
+          if (e.shiftKey) {
+            // Outdent the current line.
+            var leading = /^ {1,2}/.exec(value.slice(lineStart));
+            if (!leading) return;
+            ui.input.setRangeText("", lineStart, lineStart + leading[0].length, "preserve");
+            ui.input.setSelectionRange(Math.max(lineStart, start - leading[0].length), Math.max(lineStart, end - leading[0].length));
+          } else {
+            ui.input.setRangeText(INDENT, start, end, "end");
+          }
+          onInput();
+          return;
+        }
+        if (e.key === "Enter" && !e.ctrlKey && !e.altKey) {
+          // Keep the current line's indentation.
+          var caret = ui.input.selectionStart;
+          var lineText = ui.input.value.slice(ui.input.value.lastIndexOf("\n", caret - 1) + 1, caret);
+          var indent = /^[ \t]*/.exec(lineText)[0];
+          if (indent) {
+            e.preventDefault();
+            ui.input.setRangeText("\n" + indent, caret, ui.input.selectionEnd, "end");
+            onInput();
+          }
+        }
+        tabMovesFocus = false;
+      }
+
+      function onWindowKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        var key = e.key.toLowerCase();
+        if (key === "s") {
+          e.preventDefault();
+          if (e.shiftKey) openSaveAs();
+          else save();
+        } else if ((key === "f" || key === "h") && activeTab()) {
+          e.preventDefault();
+          showFind(key === "h");
+        }
+      }
+
+      function build(contentEl, win) {
+        var layout = el("div", "editor");
+        var toolbar = el("div", "editor-toolbar");
+        var newButton = button("files-toolbar__button editor-toolbar__button", "New");
+        var saveButton = button("files-toolbar__button editor-toolbar__button", "Save");
+        saveButton.title = "Save (Ctrl+S)";
+        var findButton = button("files-toolbar__button editor-toolbar__button", "Find");
+        findButton.title = "Find (Ctrl+F) · Replace (Ctrl+H)";
+        var tabList = el("div", "editor-tabs");
+        tabList.setAttribute("role", "tablist");
+        tabList.setAttribute("aria-label", "Open files");
+        toolbar.appendChild(newButton);
+        toolbar.appendChild(saveButton);
+        toolbar.appendChild(findButton);
+        toolbar.appendChild(tabList);
+
+        var find = el("form", "editor-find");
+        find.hidden = true;
+        find.setAttribute("role", "search");
+        var findRow = el("div", "editor-find__row");
+        var findInput = el("input", "editor-find__input");
+        findInput.type = "text";
+        findInput.placeholder = "Find";
+        findInput.setAttribute("aria-label", "Find");
+        var matchCaseLabel = el("label", "editor-find__option");
+        var matchCase = el("input");
+        matchCase.type = "checkbox";
+        matchCaseLabel.appendChild(matchCase);
+        matchCaseLabel.appendChild(document.createTextNode(" Aa"));
+        matchCaseLabel.title = "Match case";
+        var prev = button("files-toolbar__button", "↑", "Previous match");
+        var next = button("files-toolbar__button", "↓", "Next match");
+        var findCount = el("span", "editor-find__count");
+        findCount.setAttribute("aria-live", "polite");
+        var closeFind = button("files-toolbar__button", "×", "Close find");
+        [findInput, matchCaseLabel, prev, next, findCount, closeFind].forEach(function (node) {
+          findRow.appendChild(node);
+        });
+        var replaceRow = el("div", "editor-find__row");
+        var replaceInput = el("input", "editor-find__input");
+        replaceInput.type = "text";
+        replaceInput.placeholder = "Replace";
+        replaceInput.setAttribute("aria-label", "Replace with");
+        var replaceButton = button("files-toolbar__button editor-toolbar__button", "Replace");
+        var replaceAllButton = button("files-toolbar__button editor-toolbar__button", "All");
+        replaceAllButton.setAttribute("aria-label", "Replace all");
+        [replaceInput, replaceButton, replaceAllButton].forEach(function (node) {
+          replaceRow.appendChild(node);
+        });
+        find.appendChild(findRow);
+        find.appendChild(replaceRow);
+
+        var saveAs = el("form", "editor-find editor-saveas");
+        saveAs.hidden = true;
+        var saveAsRow = el("div", "editor-find__row");
+        var saveAsLabel = el("label", "editor-find__option", "Save as");
+        var saveAsInput = el("input", "editor-find__input");
+        saveAsInput.type = "text";
+        saveAsInput.id = "editor-saveas-path";
+        saveAsLabel.htmlFor = saveAsInput.id;
+        var saveAsSubmit = button("files-toolbar__button editor-toolbar__button", "Save");
+        saveAsSubmit.type = "submit";
+        var saveAsCancel = button("files-toolbar__button", "×", "Cancel");
+        [saveAsLabel, saveAsInput, saveAsSubmit, saveAsCancel].forEach(function (node) {
+          saveAsRow.appendChild(node);
+        });
+        saveAs.appendChild(saveAsRow);
+
+        var body = el("div", "editor-body");
+        var code = el("div", "editor-code");
+        var gutterWrap = el("div", "editor-gutter");
+        gutterWrap.setAttribute("aria-hidden", "true");
+        var gutter = el("pre", "editor-gutter__numbers");
+        gutterWrap.appendChild(gutter);
+        var area = el("div", "editor-area");
+        var highlightEl = el("pre", "editor-highlight");
+        highlightEl.setAttribute("aria-hidden", "true");
+        var input = el("textarea", "editor-input");
+        input.spellcheck = false;
+        input.wrap = "off";
+        input.setAttribute("aria-label", "File contents");
+        input.setAttribute("data-autofocus", "");
+        input.setAttribute("autocapitalize", "off");
+        area.appendChild(highlightEl);
+        area.appendChild(input);
+        code.appendChild(gutterWrap);
+        code.appendChild(area);
+        var empty = el("p", "files-empty editor-empty", "No file open. Use New, or run nano <file> in the terminal.");
+        body.appendChild(code);
+        body.appendChild(empty);
+
+        var statusBar = el("div", "editor-statusbar");
+        var status = el("span", "editor-status");
+        var message = el("span", "editor-message");
+        message.setAttribute("role", "status");
+        statusBar.appendChild(status);
+        statusBar.appendChild(message);
+
+        layout.appendChild(toolbar);
+        layout.appendChild(find);
+        layout.appendChild(saveAs);
+        layout.appendChild(body);
+        layout.appendChild(statusBar);
+        contentEl.appendChild(layout);
 
-    function minimizeApp(appId) {
-      var win = getWindowEl(appId);
-      if (!win) return;
-      win.classList.remove("is-open", "is-focused");
-      win.classList.add("is-minimized");
-      win.style.display = "none";
-      win.setAttribute("aria-hidden", "true");
-      setNextFocus();
-    }
+        ui = {
+          win: win, tabs: tabList, save: saveButton, find: find, findInput: findInput, matchCase: matchCase,
+          findCount: findCount, replaceRow: replaceRow, replaceInput: replaceInput, saveAs: saveAs,
+          saveAsInput: saveAsInput, code: code, gutter: gutter, highlight: highlightEl, input: input,
+          empty: empty, status: status, message: message
+        };
 
-    function restoreApp(appId) {
-      var win = getWindowEl(appId);
-      if (!win) return;
-      win.classList.remove("is-minimized");
-      win.style.display = "block";
-      win.setAttribute("aria-hidden", "false");
+        newButton.addEventListener("click", newFile);
+        saveButton.addEventListener("click", function () {
+          save();
+        });
+        findButton.addEventListener("click", function () {
+          if (activeTab()) showFind(true);
+        });
+        input.addEventListener("input", onInput);
+        input.addEventListener("scroll", syncScroll);
+        input.addEventListener("keydown", onInputKeydown);
+        ["keyup", "click", "select"].forEach(function (type) {
+          input.addEventListener(type, renderStatus);
+        });
+        win.addEventListener("keydown", onWindowKeydown);
 
-      requestAnimationFrame(function () {
-        win.classList.add("is-open");
-        focusWindow(appId);
-      });
-    }
+        find.addEventListener("submit", function (e) {
+          e.preventDefault();
+          findNext();
+        });
+        find.addEventListener("keydown", function (e) {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            hideFind();
+          } else if (e.key === "Enter" && e.shiftKey) {
+            e.preventDefault();
+            findNext(true);
+          }
+        });
+        findInput.addEventListener("input", function () {
+          updateFindCount(-1);
+        });
+        matchCase.addEventListener("change", function () {
+          updateFindCount(-1);
+        });
+        prev.addEventListener("click", function () {
+          findNext(true);
+        });
+        next.addEventListener("click", function () {
+          findNext();
+        });
+        closeFind.addEventListener("click", hideFind);
+        replaceInput.addEventListener("keydown", function (e) {
+          if (e.key === "Enter") {
+            e.preventDefault();
+            replaceOne();
+          }
+        });
+        replaceButton.addEventListener("click", replaceOne);
+        replaceAllButton.addEventListener("click", replaceAll);
 
-    function setNextFocus() {
-      var windows = Array.from(document.querySelectorAll(".app-window.is-open"));
-      if (windows.length === 0) {
-        focusWindow(null);
-        return;
+        saveAs.addEventListener("submit", function (e) {
+          e.preventDefault();
+          submitSaveAs();
+        });
+        saveAs.addEventListener("keydown", function (e) {
+          if (e.key === "Escape") {
+            e.preventDefault();
+            saveAs.hidden = true;
+            input.focus();
+          }
+        });
+        saveAsCancel.addEventListener("click", function () {
+          saveAs.hidden = true;
+          input.focus();
+        });
+
+        render();
       }
 
-      // Sort by z-index descending
-      windows.sort(function (a, b) {
-        return parseInt(window.getComputedStyle(b).zIndex) - parseInt(window.getComputedStyle(a).zIndex);
+      // Files changed elsewhere (shell redirects, another tab's save) reload
+      // in tabs that have no unsaved edits.
+      window.addEventListener("vfs-changed", function () {
+        var changed = false;
+        tabs.forEach(function (tab) {
+          var node = tab.path && vfs.stat(tab.path);
+          if (!node || node.type !== "file" || isDirty(tab) || node.content === tab.saved) return;
+          tab.text = tab.saved = node.content;
+          changed = true;
+        });
+        if (changed) render();
       });
 
-      var highest = windows[0];
-      var id = highest.id.replace("app-", "");
-      focusWindow(id);
-    }
+      session.register("editor", {
+        save: function () {
+          remember();
+          return {
+            active: tabs.map(function (tab) { return tab.id; }).indexOf(active),
+            tabs: tabs.map(function (tab) {
+              var entry = { path: tab.path, title: tab.title || null };
+              if (isDirty(tab)) entry.text = tab.text;
+              return entry;
+            })
+          };
+        },
+        restore: function (data) {
+          (Array.isArray(data.tabs) ? data.tabs : []).forEach(function (entry) {
+            var node = typeof entry.path === "string" ? vfs.stat(entry.path) : null;
+            if (node && node.type !== "file") return;
+            if (!entry.path && typeof entry.text !== "string") return;
+            var saved = node ? node.content : null;
+            var tab = addTab({
+              path: typeof entry.path === "string" ? entry.path : null,
+              title: entry.path ? null : String(entry.title || "Untitled"),
+              text: typeof entry.text === "string" ? entry.text : saved || "",
+              saved: saved
+            });
+            if (!tab.path) untitled++;
+          });
+          var restored = tabs[data.active] || tabs[0];
+          if (restored) switchTo(restored.id, false);
+          else render();
+        }
+      });
 
-    function getWindowEl(appId) {
-      return document.getElementById("app-" + appId);
-    }
+      registerApp({
+        id: "editor",
+        title: "Editor",
+        render: build,
+        onOpen: function () {
+          if (!tabs.length) newFile();
+        },
+        commands: [
+          {
+            name: "nano",
+            aliases: ["edit", "vim", "vi"],
+            usage: "nano [file]",
+            description: "Edit a file in the Editor app (created on save)",
+            run: function (ctx) {
+              if (!ctx.args.length) {
+                newFile();
+                showApp("editor");
+                return;
+              }
+              var path = vfs.normalize(ctx.args[0], ctx.cwd);
+              try {
+                openFile(path);
+              } catch (err) {
+                ctx.error(ctx.name + ": " + ctx.args[0] + ": " + err.message);
+                return;
+              }
+              ctx.print("Editing " + vfs.displayPath(path) + "...");
+              showApp("editor");
+            }
+          }
+        ]
+      });
 
-    function openApp(appId) {
-      var win = getWindowEl(appId);
-      if (!win) return;
-      if (isAnimating) return;
+      return {
+        open: function (path) {
+          openFile(path);
+          showApp("editor");
+        }
+      };
+    })();
 
-      isAnimating = true;
-      currentAppId = appId;
-      runningApps.add(appId);
-      win.classList.remove("is-minimized");
-      
-      // Reset position to default (centered) for opening animation
-      win.style.top = "";
-      win.style.left = "";
-      win.style.margin = "";
-      
-      // Fixed small offset from center
-      var offsetX = STACK_OFFSET;
-      var offsetY = STACK_OFFSET;
-      win.style.transform = `translate(calc(-50% + ${offsetX}px), calc(-50% + ${offsetY}px)) scale(0.92)`;
+    /**
+     * Files app: a file manager over the same vfs tree the terminal uses.
+     * - Sidebar places, breadcrumb path bar, back/up, grid or list view.
+     * - Click selects and previews (Markdown, text, images); double-click or
+     *   Enter opens: folders navigate, content files open their app section,
+     *   images open in a new tab and anything else opens in the Editor.
+     * - Re-renders on "vfs-changed", so shell writes show up immediately.
+     */
+    (function () {
+      var PLACES = [
+        { label: "Home", path: vfs.HOME },
+        { label: "Projects", path: vfs.HOME + "/projects" },
+        { label: "Assets", path: vfs.HOME + "/assets" },
+        { label: "File System", path: "/" }
+      ];
+      var IMAGE = /\.(png|jpe?g|gif|svg|webp)$/i;
+      // ~/<app>/<section>.txt|md, as vfs.build() lays out the manifest.
+      var CONTENT_FILE = new RegExp("^" + vfs.HOME.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "/(about|contact|projects)/([^/]+?)\\.(txt|md)$");
+      var path = vfs.HOME;
+      var view = "grid";
+      var selected = null; // path of the selected entry
+      var backStack = [];
+      var ui = null;
 
-      win.style.display = "block";
-      win.setAttribute("aria-hidden", "false");
-      focusWindow(appId);
+      function join(dir, name) {
+        return dir === "/" ? "/" + name : dir + "/" + name;
+      }
 
-      // Launch logic: next frame add .is-open so CSS transition runs.
-      requestAnimationFrame(function () {
-        win.classList.add("is-open");
-        // Maintain the offset in the open state
-        win.style.transform = `translate(calc(-50% + ${offsetX}px), calc(-50% + ${offsetY}px)) scale(1)`;
-        updateIndicators();
-        if (appId === "terminal") {
-          window.dispatchEvent(new CustomEvent("terminal-launched"));
+      function kindOf(name, node) {
+        if (node.type === "dir") return { label: "Folder", glyph: "📁" };
+        if (node.src || IMAGE.test(name)) return { label: "Image", glyph: "🖼" };
+        if (/\.md$/i.test(name)) return { label: "Markdown", glyph: "📝" };
+        return { label: "Text", glyph: "📄" };
+      }
+
+      function sizeOf(node) {
+        if (node.type === "dir") {
+          var count = Object.keys(node.children).length;
+          return count + (count === 1 ? " item" : " items");
         }
-        window.setTimeout(function () {
-          isAnimating = false;
-        }, 240);
-      });
-    }
+        var bytes = node.content.length;
+        return bytes < 1024 ? bytes + " B" : (bytes / 1024).toFixed(1) + " kB";
+      }
 
-    function closeApp(appId, done) {
-      var win = getWindowEl(appId);
-      if (!win) return;
-      if (isAnimating) return;
-      if (win.style.display !== "block") {
-        if (typeof done === "function") done();
-        return;
+      /**
+       * Breadcrumb segments: ~ paths start at "Home", others at "/".
+       */
+      function crumbs(target) {
+        var inHome = target === vfs.HOME || target.indexOf(vfs.HOME + "/") === 0;
+        var base = inHome ? vfs.HOME : "/";
+        var list = [{ label: inHome ? "Home" : "/", path: base }];
+        target.slice(base.length).split("/").filter(Boolean).reduce(function (dir, name) {
+          var next = join(dir, name);
+          list.push({ label: name, path: next });
+          return next;
+        }, base);
+        return list;
       }
 
-      isAnimating = true;
-      win.classList.remove("is-open");
+      function navigate(target, fromHistory) {
+        var node = vfs.stat(target);
+        if (!node || node.type !== "dir") return false;
+        if (!fromHistory && target !== path) backStack.push(path);
+        path = target;
+        selected = null;
+        render();
+        session.scheduleSave();
+        return true;
+      }
 
-      // After the close transition completes, fully hide the window.
-      var onDone = function (ev) {
-        if (ev.target !== win) return;
-        win.removeEventListener("transitionend", onDone);
-        win.style.display = "none";
-        win.setAttribute("aria-hidden", "true");
-        runningApps.delete(appId);
-        setNextFocus();
-        isAnimating = false;
-        if (typeof done === "function") done();
-      };
-      win.addEventListener("transitionend", onDone);
-    }
+      function renderPlaces() {
+        ui.places.textContent = "";
+        PLACES.forEach(function (place) {
+          if (!vfs.stat(place.path)) return;
+          var item = button("files-place" + (place.path === path ? " active" : ""), place.label);
+          if (place.path === path) item.setAttribute("aria-current", "location");
+          item.addEventListener("click", function () {
+            navigate(place.path);
+          });
+          ui.places.appendChild(el("li")).appendChild(item);
+        });
+      }
 
-    function minimizeAllWindows() {
-      var windows = document.querySelectorAll(".app-window.is-open");
-      windows.forEach(function (win) {
-        win.classList.remove("is-open");
-        win.style.display = "none";
-        win.setAttribute("aria-hidden", "true");
-      });
-      currentAppId = null;
-      updateIndicators();
-    }
+      function renderBreadcrumb() {
+        ui.breadcrumb.textContent = "";
+        crumbs(path).forEach(function (crumb, i, all) {
+          if (i > 0) ui.breadcrumb.appendChild(el("span", "files-breadcrumb__sep", "›")).setAttribute("aria-hidden", "true");
+          var item = button("files-breadcrumb__item", crumb.label);
+          if (i === all.length - 1) item.setAttribute("aria-current", "location");
+          item.addEventListener("click", function () {
+            navigate(crumb.path);
+          });
+          ui.breadcrumb.appendChild(item);
+        });
+      }
 
-    // Single delegated listener for dock launches and window focus
-    document.addEventListener("click", function (e) {
-      var isControl = e.target.closest(".app-window__controls");
+      function renderList() {
+        var dir = vfs.stat(path);
+        var names = vfs.list(path) || [];
+        // Folders first, then files, each alphabetically (vfs.list sorts).
+        names = names.filter(function (name) { return dir.children[name].type === "dir"; })
+          .concat(names.filter(function (name) { return dir.children[name].type !== "dir"; }));
 
-      // Focus window on click (if not clicking a control)
-      var windowClick = e.target.closest(".app-window");
-      if (windowClick && !isControl) {
-        var id = windowClick.id.replace("app-", "");
-        focusWindow(id);
+        ui.list.textContent = "";
+        ui.list.setAttribute("data-view", view);
+        ui.list.setAttribute("aria-label", vfs.displayPath(path));
+        names.forEach(function (name, i) {
+          var node = dir.children[name];
+          var kind = kindOf(name, node);
+          var itemPath = join(path, name);
+          var item = el("li", "files-item");
+          item.setAttribute("role", "option");
+          item.setAttribute("data-path", itemPath);
+          item.setAttribute("aria-selected", String(itemPath === selected));
+          item.tabIndex = itemPath === selected || (!selected && i === 0) ? 0 : -1;
+          var icon = el("span", "files-item__icon");
+          icon.setAttribute("aria-hidden", "true");
+          if (node.src) {
+            var thumb = el("img");
+            thumb.src = node.src;
+            thumb.alt = "";
+            thumb.loading = "lazy";
+            icon.appendChild(thumb);
+          } else {
+            icon.textContent = kind.glyph;
+          }
+          item.appendChild(icon);
+          item.appendChild(el("span", "files-item__name", name));
+          item.appendChild(el("span", "files-item__kind", kind.label));
+          item.appendChild(el("span", "files-item__size", sizeOf(node)));
+          ui.list.appendChild(item);
+        });
+        ui.empty.hidden = names.length > 0;
       }
 
-      var launch = e.target.closest("[data-launch-app]");
-      if (launch) {
-        e.preventDefault();
-        var appId = launch.getAttribute("data-launch-app");
-        var win = getWindowEl(appId);
+      function renderPreview() {
+        ui.preview.textContent = "";
+        var node = selected && vfs.stat(selected);
+        if (!node) {
+          ui.preview.appendChild(el("p", "files-preview__empty", "Select a file to preview it."));
+          return;
+        }
 
-        var isRunning = runningApps.has(appId);
-        var isFocused = (currentAppId === appId);
-        var isMinimized = win && win.classList.contains("is-minimized");
+        var name = selected.slice(selected.lastIndexOf("/") + 1);
+        var kind = kindOf(name, node);
+        ui.preview.appendChild(el("h3", "files-preview__title", name));
+        ui.preview.appendChild(el("p", "files-preview__meta", kind.label + " · " + sizeOf(node)));
 
-        if (!isRunning) {
-          openApp(appId);
-        } else if (isFocused) {
-          minimizeApp(appId);
-        } else if (isMinimized) {
-          restoreApp(appId);
+        if (node.type === "dir") return;
+        if (node.src) {
+          var img = el("img", "files-preview__image");
+          img.src = node.src;
+          img.alt = name;
+          ui.preview.appendChild(img);
+        } else if (kind.label === "Markdown") {
+          ui.preview.appendChild(markdown.render(node.content));
         } else {
-          focusWindow(appId);
-        }
-
-        // Terminal focus logic
-        if (appId === "terminal") {
-          setTimeout(function () {
-            var input = document.getElementById("terminal-input");
-            if (input) input.focus();
-          }, 300);
+          ui.preview.appendChild(el("pre", "files-preview__text", node.content));
         }
-        return;
       }
-      var closeBtn = e.target.closest("[data-app-close]");
-      if (closeBtn) {
-        closeApp(closeBtn.getAttribute("data-app-close"));
+
+      function render() {
+        if (!ui) return;
+        if (!vfs.stat(path)) path = vfs.HOME;
+        if (selected && !vfs.stat(selected)) selected = null;
+        ui.back.disabled = backStack.length === 0;
+        ui.up.disabled = path === "/";
+        ui.viewButtons.forEach(function (viewButton) {
+          viewButton.setAttribute("aria-pressed", String(viewButton.getAttribute("data-view") === view));
+        });
+        renderPlaces();
+        renderBreadcrumb();
+        renderList();
+        renderPreview();
       }
-      var minimizeBtn = e.target.closest("[data-app-minimize]");
-      if (minimizeBtn) {
-        var appId = minimizeBtn.getAttribute("data-app-minimize");
-        minimizeApp(appId);
+
+      function select(itemPath, focus) {
+        selected = itemPath;
+        ui.list.querySelectorAll(".files-item").forEach(function (item) {
+          var isSelected = item.getAttribute("data-path") === itemPath;
+          item.setAttribute("aria-selected", String(isSelected));
+          item.tabIndex = isSelected ? 0 : -1;
+          if (isSelected && focus) item.focus();
+        });
+        renderPreview();
       }
-    });
 
-    /**
-     * Window Dragging Logic
-     */
-    (function () {
-      var isDragging = false;
-      var dragWin = null;
-      var startMouseX, startMouseY, startLeft, startTop;
+      /**
+       * Content files open where they came from; images in a new tab; the
+       * rest in the Editor.
+       */
+      function open(itemPath) {
+        var node = vfs.stat(itemPath);
+        if (!node) return;
+        if (node.type === "dir") {
+          navigate(itemPath);
+          return;
+        }
+        if (node.src) {
+          window.open(node.src, "_blank", "noopener");
+          return;
+        }
 
-      document.addEventListener("mousedown", function (e) {
-        var titlebar = e.target.closest(".app-window__titlebar");
-        if (!titlebar || e.target.closest(".app-window__controls")) return;
+        var match = CONTENT_FILE.exec(itemPath);
+        if (!match) {
+          editor.open(itemPath);
+          return;
+        }
+        showApp(match[1]);
+        if (match[1] === "projects") {
+          content.openProject(match[2], true);
+          return;
+        }
+        var tab = document.querySelector('[data-section="' + match[1] + "-" + match[2] + '"]');
+        if (tab) activateSection(tab);
+      }
 
-        var win = titlebar.closest(".app-window");
-        if (!win) return;
+      function goUp() {
+        if (path === "/") return;
+        var child = path;
+        navigate(path.slice(0, path.lastIndexOf("/")) || "/");
+        select(child, true);
+      }
 
-        isDragging = true;
-        dragWin = win;
+      function onListKeydown(e) {
+        var items = Array.from(ui.list.querySelectorAll(".files-item"));
+        var current = e.target.closest(".files-item");
+        var index = items.indexOf(current);
+        var next = null;
+        if (e.key === "ArrowDown" || e.key === "ArrowRight") next = items[Math.min(index + 1, items.length - 1)];
+        else if (e.key === "ArrowUp" || e.key === "ArrowLeft") next = items[Math.max(index - 1, 0)];
+        else if (e.key === "Home") next = items[0];
+        else if (e.key === "End") next = items[items.length - 1];
+        else if (e.key === "Enter" && current) open(current.getAttribute("data-path"));
+        else if (e.key === "Backspace") goUp();
+        else return;
+        e.preventDefault();
+        if (next) select(next.getAttribute("data-path"), true);
+      }
 
-        // Bring to front
-        var appId = win.id.replace("app-", "");
-        focusWindow(appId);
+      function build(contentEl) {
+        var layout = el("div", "app-layout files");
+        var sidebar = el("aside", "app-sidebar");
+        var places = el("ul", "files-places");
+        places.setAttribute("aria-label", "Places");
+        sidebar.appendChild(places);
 
-        // Capture starting positions
-        startMouseX = e.clientX;
-        startMouseY = e.clientY;
+        var main = el("section", "app-main files-main");
+        var toolbar = el("div", "files-toolbar");
+        var back = button("files-toolbar__button", "‹", "Back");
+        var up = button("files-toolbar__button", "↑", "Up one folder");
+        var breadcrumb = el("nav", "files-breadcrumb");
+        breadcrumb.setAttribute("aria-label", "Path");
+        var views = el("div", "files-views");
+        views.setAttribute("role", "group");
+        views.setAttribute("aria-label", "View");
+        var viewButtons = [["grid", "▦", "Grid view"], ["list", "☰", "List view"]].map(function (option) {
+          var viewButton = button("files-toolbar__button", option[1], option[2]);
+          viewButton.setAttribute("data-view", option[0]);
+          views.appendChild(viewButton);
+          return viewButton;
+        });
+        toolbar.appendChild(back);
+        toolbar.appendChild(up);
+        toolbar.appendChild(breadcrumb);
+        toolbar.appendChild(views);
 
-        // Get current computed position
-        var rect = win.getBoundingClientRect();
-        startLeft = rect.left;
-        startTop = rect.top;
+        var body = el("div", "files-body");
+        var listWrap = el("div", "files-list-wrap");
+        var list = el("ul", "files-list");
+        list.setAttribute("role", "listbox");
+        var empty = el("p", "files-empty", "This folder is empty.");
+        listWrap.appendChild(list);
+        listWrap.appendChild(empty);
+        var preview = el("aside", "files-preview");
+        preview.setAttribute("aria-label", "Preview");
+        preview.setAttribute("aria-live", "polite");
+        body.appendChild(listWrap);
+        body.appendChild(preview);
 
-        // Switch to pixel-based positioning
-        // Remove transitions during drag for responsiveness
-        win.style.transition = "none";
-        win.style.transform = "none";
-        win.style.left = startLeft + "px";
-        win.style.top = startTop + "px";
-        win.style.margin = "0";
+        main.appendChild(toolbar);
+        main.appendChild(body);
+        layout.appendChild(sidebar);
+        layout.appendChild(main);
+        contentEl.appendChild(layout);
 
-        document.body.style.userSelect = "none";
-      });
+        ui = { places: places, back: back, up: up, breadcrumb: breadcrumb, viewButtons: viewButtons, list: list, empty: empty, preview: preview };
 
-      document.addEventListener("mousemove", function (e) {
-        if (!isDragging || !dragWin) return;
+        back.addEventListener("click", function () {
+          if (backStack.length) navigate(backStack.pop(), true);
+        });
+        up.addEventListener("click", goUp);
+        viewButtons.forEach(function (viewButton) {
+          viewButton.addEventListener("click", function () {
+            view = viewButton.getAttribute("data-view");
+            render();
+            session.scheduleSave();
+          });
+        });
+        list.addEventListener("click", function (e) {
+          var item = e.target.closest(".files-item");
+          if (item) select(item.getAttribute("data-path"), true);
+        });
+        list.addEventListener("dblclick", function (e) {
+          var item = e.target.closest(".files-item");
+          if (item) open(item.getAttribute("data-path"));
+        });
+        list.addEventListener("keydown", onListKeydown);
+        render();
+      }
 
-        var dx = e.clientX - startMouseX;
-        var dy = e.clientY - startMouseY;
+      window.addEventListener("vfs-changed", render);
 
-        dragWin.style.left = (startLeft + dx) + "px";
-        dragWin.style.top = (startTop + dy) + "px";
+      session.register("files", {
+        save: function () {
+          return { path: path, view: view };
+        },
+        restore: function (data) {
+          if (data.view === "grid" || data.view === "list") view = data.view;
+          if (typeof data.path === "string" && vfs.stat(data.path)) path = data.path;
+          render();
+        }
       });
 
-      document.addEventListener("mouseup", function () {
-        if (isDragging) {
-          isDragging = false;
-          if (dragWin) {
-            // Restore transitions for subsequent open/close
-            dragWin.style.transition = "";
+      registerApp({
+        id: "files",
+        title: "Files",
+        render: build,
+        commands: [
+          {
+            name: "files",
+            aliases: ["nautilus"],
+            usage: "files [dir]",
+            description: "Open the Files app (at the current or given directory)",
+            complete: "dirs",
+            run: function (ctx) {
+              var target = vfs.normalize(ctx.args[0] || ".", ctx.cwd);
+              var node = vfs.stat(target);
+              if (!node || node.type !== "dir") {
+                ctx.error("files: " + (ctx.args[0] || target) + ": Not a directory");
+                return;
+              }
+              navigate(target);
+              ctx.print("Opening files at " + vfs.displayPath(target) + "...");
+              showApp("files");
+            }
           }
-          dragWin = null;
-          document.body.style.userSelect = "";
-        }
+        ]
       });
     })();
 
+    boot.report("Started Window Manager.");
+
     /**
-     * Terminal specific logic
+     * Public API for drop-in app scripts (loaded after main.js).
      */
-    var terminalInput = document.getElementById("terminal-input");
-    var terminalOutput = document.getElementById("terminal-output");
-
-    if (terminalInput && terminalOutput) {
-      (function() {
-        var hasShownTerminalBanner = false;
-        function showTerminalBanner() {
-          if (hasShownTerminalBanner) return;
-          hasShownTerminalBanner = true;
-          
-          var asciiArt = [
-            "  ______          _     _                         ",
-            " |  ____|        | |   (_)                        ",
-            " | |__ ___   ___ | |__  _  ___   _ __ ___   ___  ___ ",
-            " |  __/ _ \\ / _ \\| '_ \\| |/ _ \\ | |_ \\ _ \\ / _ \\/ __|",
-            " | | | (_) | (_) | (_) | |  __/ | | | | | | (_) \\__ \\",
-            " |_|  \\___/ \\___/|____/|_|\\___| |_| |_| |_|\\___/|___/"
-          ].join("\n");
-
-          var pre = document.createElement("pre");
-          pre.className = "terminal-banner";
-          pre.textContent = asciiArt;
-          terminalOutput.appendChild(pre);
-
-          var infoLines = [
-            "",
-            "Welcome to techieman.os",
-            "Interactive developer portfolio environment",
-            "",
-            'Type "help" to view commands',
-            'Type "about" to know more about me',
-            ""
-          ];
-
-          infoLines.forEach(function(l) {
-            var div = document.createElement("div");
-            div.textContent = l;
-            terminalOutput.appendChild(div);
-          });
-          terminalOutput.scrollTop = terminalOutput.scrollHeight;
-        }
-        window.addEventListener("terminal-launched", showTerminalBanner);
-      })();
-
-      terminalInput.addEventListener("keydown", function (e) {
-        if (e.key === "Enter") {
-          var cmd = terminalInput.value.trim();
-          var line = document.createElement("div");
-          line.innerHTML = '<span class="terminal-prompt">techieman@os:~$</span> ' + cmd;
-          terminalOutput.appendChild(line);
-
-          // Simple response logic
-          var response = document.createElement("div");
-          if (cmd === "help") {
-            response.textContent = "Available commands: help, clear, about, projects, contact, exit, home";
-          } else if (cmd === "cls") {
-            terminalOutput.innerHTML = "";
-            response = null;
-          } else if (cmd === "about" || cmd === "projects" || cmd === "contact") {
-            response.textContent = "Opening " + cmd + "...";
-            openApp(cmd);
-          } else if (cmd === "exit") {
-            response.textContent = "Closing terminal in 5 seconds...";
+    window.techieman = {
+      registerApp: registerApp,
+      registerCommand: function (def) {
+        addShellCommand(def);
+      },
+      openApp: showApp,
+      closeApp: closeApp,
+      notify: notify,
+      registerMailTransport: mail.registerTransport
+    };
+  })();
 
-            setTimeout(function () {
-              var p = document.createElement("div");
-              p.textContent = "Shutting down terminal...";
-              terminalOutput.appendChild(p);
-              terminalOutput.scrollTop = terminalOutput.scrollHeight;
-            }, 1000);
-
-            [3, 2, 1].forEach(function (num, index) {
-              setTimeout(function () {
-                var p = document.createElement("div");
-                p.textContent = String(num);
-                terminalOutput.appendChild(p);
-                terminalOutput.scrollTop = terminalOutput.scrollHeight;
-              }, (index + 2) * 1000);
-            });
+  /**
+   * Sidebar navigation logic (Ubuntu Settings style)
+   */
+  function activateSection(sidebarItem) {
+    var sectionId = sidebarItem.getAttribute("data-section");
+    var appWindow = sidebarItem.closest(".app-window");
 
-            setTimeout(function () {
-              closeApp("terminal");
-            }, 5000);
-          } else if (cmd === "home") {
-            response.textContent = "All windows minimized";
-            minimizeAllWindows();
-          } else if (cmd === "sudo make me a sandwich") {
-            response.innerHTML = `
-<span style="color: #50fa7b;">       █████████</span>
-<span style="color: #50fa7b;">       █      █</span>
-<span style="color: #50fa7b;">       █  OS  █</span>
-
-<span style="color: #bd93f9;">OS:</span> techieman.os
-<span style="color: #bd93f9;">Host:</span> Portfolio System
-<span style="color: #bd93f9;">Kernel:</span> JavaScript 1.0
-<span style="color: #bd93f9;">Uptime:</span> Since page load
-<span style="color: #bd93f9;">Packages:</span> HTML, CSS, JavaScript
-<span style="color: #bd93f9;">Shell:</span> Fake Bash
-<span style="color: #bd93f9;">WM:</span> Custom Window Manager
-<span style="color: #bd93f9;">Terminal:</span> techieman-terminal
-<span style="color: #bd93f9;">Developer:</span> Vishal AA`.trim();
-          } else if (cmd !== "") {
-            response.textContent = "Command not found: " + cmd;
-          } else {
-            response = null;
-          }
+    if (sectionId && appWindow) {
+      // Update active sidebar item
+      appWindow.querySelectorAll(".sidebar-item").forEach(function (item) {
+        item.classList.remove("active");
+        item.setAttribute("aria-selected", "false");
+        item.tabIndex = -1;
+      });
+      sidebarItem.classList.add("active");
+      sidebarItem.setAttribute("aria-selected", "true");
+      sidebarItem.tabIndex = 0;
 
-          if (response) terminalOutput.appendChild(response);
-          terminalInput.value = "";
-          terminalOutput.scrollTop = terminalOutput.scrollHeight;
-        }
+      // Update active section
+      appWindow.querySelectorAll(".app-section").forEach(function (section) {
+        section.classList.remove("active-section");
       });
+      var targetSection = document.getElementById(sectionId);
+      if (targetSection) {
+        targetSection.classList.add("active-section");
+      }
+      window.dispatchEvent(new CustomEvent("section-activated", { detail: { sectionId: sectionId } }));
     }
-  })();
+  }
 
-  /**
-   * Sidebar navigation logic (Ubuntu Settings style)
-   */
   document.addEventListener("click", function (e) {
     var sidebarItem = e.target.closest(".sidebar-item");
     if (sidebarItem) {
-      var sectionId = sidebarItem.getAttribute("data-section");
-      var appWindow = sidebarItem.closest(".app-window");
+      activateSection(sidebarItem);
+      session.scheduleSave();
+    }
+  });
 
-      if (sectionId && appWindow) {
-        // Update active sidebar item
-        appWindow.querySelectorAll(".sidebar-item").forEach(function (item) {
-          item.classList.remove("active");
-        });
-        sidebarItem.classList.add("active");
+  // Sidebars are vertical tablists: Up/Down/Home/End move and activate,
+  // Enter/Space activate the focused tab.
+  document.addEventListener("keydown", function (e) {
+    var sidebarItem = e.target.closest && e.target.closest(".sidebar-item");
+    if (!sidebarItem || e.altKey || e.ctrlKey || e.metaKey) return;
+
+    var items = Array.from(sidebarItem.parentNode.querySelectorAll(".sidebar-item"));
+    var index = items.indexOf(sidebarItem);
+    var next = null;
+    if (e.key === "ArrowDown") next = items[(index + 1) % items.length];
+    else if (e.key === "ArrowUp") next = items[(index - 1 + items.length) % items.length];
+    else if (e.key === "Home") next = items[0];
+    else if (e.key === "End") next = items[items.length - 1];
+    else if (e.key === "Enter" || e.key === " ") next = sidebarItem;
+    if (!next) return;
 
-        // Update active section
-        appWindow.querySelectorAll(".app-section").forEach(function (section) {
-          section.classList.remove("active-section");
+    e.preventDefault();
+    activateSection(next);
+    next.focus();
+    session.scheduleSave();
+  });
+
+  // Session part: active sidebar section per app window.
+  session.register("sections", {
+    save: function () {
+      var active = {};
+      document.querySelectorAll(".app-window").forEach(function (win) {
+        var item = win.querySelector(".sidebar-item.active");
+        if (item) active[win.id] = item.getAttribute("data-section");
+      });
+      return active;
+    },
+    restore: function (active) {
+      Object.keys(active).forEach(function (winId) {
+        var win = document.getElementById(winId);
+        var item = win && Array.from(win.querySelectorAll(".sidebar-item")).find(function (el) {
+          return el.getAttribute("data-section") === active[winId];
         });
-        var targetSection = document.getElementById(sectionId);
-        if (targetSection) {
-          targetSection.classList.add("active-section");
-        }
-      }
+        if (item) activateSection(item);
+      });
     }
   });
 
-  /**
-   * System Uptime Counter
-   */
-  (function () {
-    var startTime = Date.now();
-
-    function updateUptime() {
-      var uptimeEl = document.getElementById("system-uptime");
-      if (!uptimeEl) return;
-      var diff = Math.floor((Date.now() - startTime) / 60000); // minutes
-      uptimeEl.textContent = diff + " min";
-      setTimeout(updateUptime, 60000);
+  // Session part: the Projects sort and open project details (after
+  // "sections", so the list to go back to is already active).
+  session.register("projects", {
+    save: function () {
+      return content.projectView();
+    },
+    restore: function (view) {
+      if (view.sort) content.sortProjects(view.sort);
+      if (view.project) content.openProject(view.project, false);
     }
-    updateUptime();
-  })();
+  });
 
   var dotRadius = 24;
   var targetX = -100;
@@ -592,10 +8671,12 @@
   /**
    * Update dot position with smooth follow (lerp) for 60fps feel.
    * Dot is only visible inside text because of SVG mask in HTML.
+   * With reduced motion the dot sits directly under the cursor.
    */
   function tick() {
-    currentX += (targetX - currentX) * easing;
-    currentY += (targetY - currentY) * easing;
+    var ease = prefersReducedMotion() ? 1 : easing; // reduced motion: no trailing
+    currentX += (targetX - currentX) * ease;
+    currentY += (targetY - currentY) * ease;
     dot.setAttribute("cx", currentX);
     dot.setAttribute("cy", currentY);
 
@@ -622,23 +8703,65 @@
     targetY = -100;
   }
 
-  function onMouseMove(e) {
+  function onPointerMove(e) {
     var pt = clientToSvg(heroSvg, e.clientX, e.clientY);
     targetX = pt.x;
     targetY = pt.y;
   }
 
+  /**
+   * Pointer Events drive the dot for mouse, pen and touch alike. A touch
+   * only "hovers" while the finger is down, so the dot starts right under
+   * it (no lerp in from off-screen) and follows the drag until lift-off.
+   */
   if (hero && heroSvg && dot) {
-    hero.addEventListener("mouseenter", function () {
+    hero.addEventListener("pointerenter", function (e) {
+      onPointerMove(e);
+      if (e.pointerType !== "mouse") {
+        currentX = targetX;
+        currentY = targetY;
+      }
       startFollow();
     });
 
-    hero.addEventListener("mouseleave", function () {
+    hero.addEventListener("pointerleave", function () {
       stopFollow();
     });
 
-    hero.addEventListener("mousemove", onMouseMove, { passive: true });
+    hero.addEventListener("pointercancel", function () {
+      stopFollow();
+    });
+
+    hero.addEventListener("pointermove", onPointerMove, { passive: true });
   }
+
+  // Every subsystem has registered its session part (and reported to the
+  // boot log) by now; content has to be rendered first so restored
+  // sections and cwd exist.
+  content.load().then(function (manifest) {
+    boot.report(manifest ? "Loaded content manifest." : "Failed to load content manifest.", Boolean(manifest));
+    vfs.build(manifest);
+    boot.report("Mounted virtual filesystem.");
+    window.dispatchEvent(new CustomEvent("content-loaded", { detail: manifest }));
+    var restored = session.restore();
+    boot.report(restored ? "Restored desktop session." : "Started new desktop session.");
+    window.dispatchEvent(new CustomEvent("desktop-ready"));
+    return boot.start().then(function () {
+      if (!restored) return;
+      notify({
+        title: "Session restored",
+        body: "Windows and the terminal are back where you left them.",
+        icon: "↺",
+        actions: [{
+          label: "Start fresh",
+          run: function () {
+            session.reset();
+            window.location.reload();
+          }
+        }]
+      });
+    });
+  });
 })();
 
 /**
@@ -647,23 +8770,32 @@
 (function () {
   const cursor = document.getElementById("custom-cursor");
   if (!cursor) return;
+  const root = document.documentElement;
 
-  document.addEventListener("mousemove", (e) => {
+  // The real cursor is only hidden while the replacement is actually
+  // tracking a mouse; touch, pen, keyboard and no-JS users keep the system one.
+  document.addEventListener("pointermove", (e) => {
+    if (e.pointerType !== "mouse") {
+      root.classList.remove("has-custom-cursor");
+      return;
+    }
     cursor.style.left = e.clientX + "px";
     cursor.style.top = e.clientY + "px";
+    root.classList.add("has-custom-cursor");
   });
 
-  const clickableElements = document.querySelectorAll(
-    "a, button, .dock-item, .app-window__titlebar"
-  );
+  document.addEventListener("pointerout", (e) => {
+    if (!e.relatedTarget) root.classList.remove("has-custom-cursor");
+  });
 
-  clickableElements.forEach((el) => {
-    el.addEventListener("mouseenter", () => {
-      cursor.style.backgroundImage = "url('assets/cursor/cursor-hand2.png')";
-    });
+  // Delegated, so content rendered later (manifest, new apps) gets it too.
+  const clickableSelector = "a, button, .dock-item, .app-window__titlebar, .sidebar-item, .activities__result";
 
-    el.addEventListener("mouseleave", () => {
-      cursor.style.backgroundImage = "url('assets/cursor/cursor.png')";
-    });
+  document.addEventListener("pointerover", (e) => {
+    if (e.pointerType !== "mouse") return;
+    const clickable = e.target.closest(clickableSelector);
+    cursor.style.backgroundImage = clickable
+      ? "url('assets/cursor/cursor-hand2.png')"
+      : "url('assets/cursor/cursor.png')";
   });
 })();